@@ -4,11 +4,29 @@ const cron = require("node-cron");
 const cors = require("cors");
 const admin = require("firebase-admin");
 const axios = require("axios");
+const crypto = require("crypto");
+const Parser = require("rss-parser");
 
 const helmet = require("helmet");
 const compression = require("compression");
 const rateLimit = require("express-rate-limit");
 
+const {
+  shouldEnrich,
+  enrichFromPage,
+  markEnrichFailed,
+} = require("./lib/enrichment");
+const {
+  createMemoryCache,
+  createRedisCache,
+  createLocalRedis,
+} = require("./lib/cache");
+const {
+  STOP_WORDS,
+  storyFingerprint,
+  storySimilarity,
+} = require("./lib/similarity");
+
 const app = express();
 app.set("trust proxy", 1);
 
@@ -47,17 +65,143 @@ admin.initializeApp({
 
 const db = admin.firestore();
 
-/* ================= MEMORY CACHE ================= */
+/* ================= CACHE LAYER ================= */
 
-const newsCache = new Map();
-const trendingCache = {};
-const tokenCache = new Map();
-const viewQueue = new Map();
-const likeQueue = new Map();
+/*
+Caches are created with createCache(name, { maxEntries, ttlMs }) and
+are async get/set/delete/clear stores. CACHE_BACKEND picks where the
+entries live:
+
+  memory  per-process LRU with a size limit (default)
+  redis   shared through REDIS_URL with the ioredis client; size is
+          bounded by TTLs and the server's maxmemory-policy
+  local   in-process Redis stand-in, for tests and for running several
+          instances in one process
+
+Instances publish cache events on CACHE_CHANNEL so state that stays
+per-process (fcmTokenCache, tokenPrefs, tokenPushCounts, knownUrls)
+and memory caches follow changes made elsewhere. Clearing a Redis
+cache bumps its generation number instead of scanning keys. The
+backends themselves live in lib/cache.js.
+*/
 
-const knownUrls = new Set();
+const INSTANCE_ID = crypto.randomBytes(6).toString("hex");
+const CACHE_BACKEND =
+  process.env.CACHE_BACKEND || (process.env.REDIS_URL ? "redis" : "memory");
+const CACHE_CHANNEL = "pi:cache:events";
 
-const fcmTokenCache = new Map();
+const caches = new Map();
+
+function createCacheClient() {
+  if (CACHE_BACKEND === "redis") {
+    // Only needed when a shared cache is configured
+    const Redis = require("ioredis");
+    return new Redis(process.env.REDIS_URL);
+  }
+
+  if (CACHE_BACKEND === "local") return createLocalRedis();
+
+  return null;
+}
+
+const cacheClient = createCacheClient();
+
+function createCache(name, options = {}) {
+  const cache = cacheClient
+    ? createRedisCache(name, cacheClient, options)
+    : createMemoryCache(options);
+
+  caches.set(name, cache);
+
+  return cache;
+}
+
+/*
+Event shape: { origin, type, ...payload }. Types:
+
+  cache.clear   { name }
+  token.update  { token, language?, interests?, preferences? }
+  token.forget  { token }
+  token.pushes  { counts: { [token]: { day, count } } }
+  url.add       { url }
+  url.delete    { url }
+*/
+function publishCacheEvent(type, payload = {}) {
+  if (!cacheClient) return Promise.resolve();
+
+  return cacheClient
+    .publish(
+      CACHE_CHANNEL,
+      JSON.stringify({ origin: INSTANCE_ID, type, ...payload })
+    )
+    .catch((err) => console.error("Cache publish error:", err.message));
+}
+
+function handleCacheEvent({ type, ...payload }) {
+  switch (type) {
+    case "cache.clear":
+      caches.get(payload.name)?.reset();
+      break;
+
+    case "token.update":
+      if (payload.interests) {
+        removeTokenFromCache(payload.token);
+        addTokenToCache(payload.token, payload.language, payload.interests);
+      }
+
+      if (payload.preferences) {
+        tokenPrefs.set(payload.token, payload.preferences);
+      }
+      break;
+
+    case "token.pushes":
+      Object.entries(payload.counts || {}).forEach(([token, sent]) =>
+        mergeTokenPushCount(token, sent)
+      );
+      break;
+
+    case "token.forget":
+      forgetToken(payload.token, { broadcast: false });
+      break;
+
+    case "url.add":
+      knownUrls.add(payload.url);
+      break;
+
+    case "url.delete":
+      knownUrls.delete(payload.url);
+      break;
+  }
+}
+
+function subscribeCacheEvents() {
+  if (!cacheClient) return;
+
+  const subscriber = cacheClient.duplicate();
+
+  subscriber.on("message", (channel, raw) => {
+    if (channel !== CACHE_CHANNEL) return;
+
+    try {
+      const event = JSON.parse(raw);
+
+      if (event.origin !== INSTANCE_ID) handleCacheEvent(event);
+    } catch (err) {
+      console.error("Cache event error:", err.message);
+    }
+  });
+
+  subscriber
+    .subscribe(CACHE_CHANNEL)
+    .catch((err) => console.error("Cache subscribe error:", err.message));
+}
+
+async function clearCache(name) {
+  await caches.get(name).clear();
+  await publishCacheEvent("cache.clear", { name });
+}
+
+/* ================= MEMORY CACHE ================= */
 
 /*
 Key example:
@@ -69,16 +213,265 @@ hi_Business
 Value:
 {
   articles: [...],
-  nextCursor: "...",
-  expires: timestamp
+  nextCursor: "..."
 }
 */
 const CACHE_TIME = 60 * 1000; // 60 seconds
+
+const newsCache = createCache("news", { maxEntries: 500, ttlMs: CACHE_TIME });
+const trendingCache = createCache("trending", {
+  maxEntries: 50,
+  ttlMs: 5 * 60 * 1000,
+});
+const forYouCache = createCache("forYou", {
+  maxEntries: 2000,
+  ttlMs: 5 * 60 * 1000,
+});
+
+// Last registration payload per token, to skip unchanged re-registers
+const tokenCache = createCache("tokens", {
+  maxEntries: 50000,
+  ttlMs: 24 * 60 * 60 * 1000,
+});
+const likeQueue = new Map();
+
+const knownUrls = new Set();
+
+// Segment key ("en_Sports") -> Set of tokens, and each token's own keys
+// so removing a token only touches its segments
+const fcmTokenCache = new Map();
+const tokenSegments = new Map();
+
+// Per-device push preferences and today's push count, keyed by token
+const tokenPrefs = new Map();
+const tokenPushCounts = new Map();
+
+// When each token's lastSeenAt was last written, to throttle the writes
+const tokenSeenAt = new Map();
+
+// Fingerprints of recent articles, used to cluster the same story
+// reported by different outlets. See STORY CLUSTERING below.
+const storyIndex = [];
+
+function rememberUrl(url) {
+  knownUrls.add(url);
+  publishCacheEvent("url.add", { url });
+}
+
+function forgetUrl(url) {
+  knownUrls.delete(url);
+  publishCacheEvent("url.delete", { url });
+}
+
+// Resolves once every instance can no longer serve the old entries
+async function invalidateNewsCaches() {
+  await Promise.all(["news", "trending", "forYou"].map(clearCache));
+}
+
+/* ================= LANGUAGES ================= */
+
+/*
+Everything language-specific lives here: ingestion settings, summary
+rules, allowed categories, breaking keywords and push copy. ENABLED_LANGUAGES (default
+"en,hi") picks which registry entries are live.
+*/
+
+const DEFAULT_CATEGORIES = [
+  "India",
+  "World",
+  "Business",
+  "Sports",
+  "Technology",
+  "Health",
+];
+
+const LANGUAGES = {
+  en: {
+    name: "English",
+    newsdata: { language: "en", country: "in" },
+    summary: {
+      byline: /—.*?(\.|\n)/g,
+      cutAt: ["Also Read"],
+    },
+    categories: DEFAULT_CATEGORIES,
+    push: { breakingTitle: "🚨 Breaking News" },
+    breaking: {
+      strong: ["breaking", "just in", "breaking news"],
+      // Matching is on whole tokens, so inflected forms are listed too
+      alert: [
+        "alert", "alerts", "urgent", "earthquake", "earthquakes",
+        "explosion", "explosions", "blast", "blasts", "kill", "kills",
+        "killed", "killing", "dead", "death", "deaths", "die", "dies",
+        "died", "passes away", "passed away", "terror attack",
+        "terror attacks", "derailed", "derails", "crash", "crashes",
+        "crashed", "evacuated", "evacuate", "evacuates", "curfew",
+        "resigns", "resigned", "resign", "emergency",
+      ],
+      muted: ["live score", "live updates", "live streaming", "horoscope", "highlights", "preview"],
+    },
+  },
+  hi: {
+    name: "हिन्दी",
+    newsdata: { language: "hi", country: "in" },
+    summary: {
+      // Danda (।) and double danda (॥) end Hindi sentences
+      terminators: "।॥",
+      cutAt: ["यह भी पढ़ें", "ये भी पढ़ें", "यह भी पढ़े", "ये भी पढ़े", "और पढ़ें", "Also Read"],
+    },
+    categories: DEFAULT_CATEGORIES,
+    push: { breakingTitle: "🚨 ब्रेकिंग न्यूज़" },
+    breaking: {
+      strong: ["ब्रेकिंग", "ब्रेकिंग न्यूज़", "बड़ी खबर", "बड़ी ख़बर", "अभी अभी", "ताजा खबर", "breaking"],
+      alert: [
+        "अलर्ट", "भूकंप", "धमाका", "विस्फोट", "हादसा", "मौत", "निधन",
+        "आतंकी हमला", "इस्तीफा", "कर्फ्यू", "आपातकाल",
+      ],
+      muted: ["लाइव स्कोर", "राशिफल", "लाइव अपडेट"],
+    },
+  },
+  bn: {
+    name: "বাংলা",
+    newsdata: { language: "bn", country: "in" },
+    summary: { terminators: "।", cutAt: ["আরও পড়ুন"] },
+    categories: DEFAULT_CATEGORIES,
+    push: { breakingTitle: "🚨 ব্রেকিং নিউজ" },
+    breaking: {
+      strong: ["ব্রেকিং", "ব্রেকিং নিউজ", "breaking"],
+      alert: ["ভূমিকম্প", "বিস্ফোরণ", "দুর্ঘটনা", "মৃত্যু", "প্রয়াত"],
+      muted: ["রাশিফল", "লাইভ স্কোর"],
+    },
+  },
+  mr: {
+    name: "मराठी",
+    newsdata: { language: "mr", country: "in" },
+    summary: { terminators: "।", cutAt: ["हेही वाचा", "हे पण वाचा"] },
+    categories: DEFAULT_CATEGORIES,
+    push: { breakingTitle: "🚨 ब्रेकिंग न्यूज" },
+    breaking: {
+      strong: ["ब्रेकिंग", "ब्रेकिंग न्यूज", "मोठी बातमी", "breaking"],
+      alert: ["भूकंप", "स्फोट", "अपघात", "मृत्यू", "निधन"],
+      muted: ["राशीभविष्य", "लाइव्ह स्कोअर"],
+    },
+  },
+  ta: {
+    name: "தமிழ்",
+    newsdata: { language: "ta", country: "in" },
+    summary: { cutAt: ["மேலும் படிக்க", "இதையும் படிக்க"] },
+    categories: DEFAULT_CATEGORIES,
+    push: { breakingTitle: "🚨 முக்கிய செய்தி" },
+    breaking: {
+      strong: ["பிரேக்கிங்", "முக்கிய செய்தி", "breaking"],
+      alert: ["நிலநடுக்கம்", "வெடிப்பு", "விபத்து", "உயிரிழப்பு", "காலமானார்"],
+      muted: ["ராசிபலன்"],
+    },
+  },
+  te: {
+    name: "తెలుగు",
+    newsdata: { language: "te", country: "in" },
+    summary: { cutAt: ["ఇది కూడా చదవండి"] },
+    categories: DEFAULT_CATEGORIES,
+    push: { breakingTitle: "🚨 బ్రేకింగ్ న్యూస్" },
+    breaking: {
+      strong: ["బ్రేకింగ్", "బ్రేకింగ్ న్యూస్", "breaking"],
+      alert: ["భూకంపం", "పేలుడు", "ప్రమాదం", "మృతి", "కన్నుమూత"],
+      muted: ["రాశిఫలాలు"],
+    },
+  },
+  gu: {
+    name: "ગુજરાતી",
+    newsdata: { language: "gu", country: "in" },
+    summary: { cutAt: ["આ પણ વાંચો"] },
+    categories: DEFAULT_CATEGORIES,
+    push: { breakingTitle: "🚨 બ્રેકિંગ ન્યૂઝ" },
+    breaking: {
+      strong: ["બ્રેકિંગ", "બ્રેકિંગ ન્યૂઝ", "breaking"],
+      alert: ["ભૂકંપ", "વિસ્ફોટ", "અકસ્માત", "મૃત્યુ", "નિધન"],
+      muted: ["રાશિફળ"],
+    },
+  },
+  kn: {
+    name: "ಕನ್ನಡ",
+    newsdata: { language: "kn", country: "in" },
+    summary: { cutAt: ["ಇದನ್ನೂ ಓದಿ"] },
+    categories: DEFAULT_CATEGORIES,
+    push: { breakingTitle: "🚨 ಬ್ರೇಕಿಂಗ್ ನ್ಯೂಸ್" },
+    breaking: {
+      strong: ["ಬ್ರೇಕಿಂಗ್", "ಬ್ರೇಕಿಂಗ್ ನ್ಯೂಸ್", "breaking"],
+      alert: ["ಭೂಕಂಪ", "ಸ್ಫೋಟ", "ಅಪಘಾತ", "ಸಾವು", "ನಿಧನ"],
+      muted: ["ರಾಶಿ ಭವಿಷ್ಯ"],
+    },
+  },
+  ml: {
+    name: "മലയാളം",
+    newsdata: { language: "ml", country: "in" },
+    summary: { cutAt: ["ഇതുകൂടി വായിക്കുക", "കൂടുതൽ വായിക്കുക"] },
+    categories: DEFAULT_CATEGORIES,
+    push: { breakingTitle: "🚨 ബ്രേക്കിംഗ് ന്യൂസ്" },
+    breaking: {
+      strong: ["ബ്രേക്കിംഗ്", "ബ്രേക്കിംഗ് ന്യൂസ്", "breaking"],
+      alert: ["ഭൂകമ്പം", "സ്ഫോടനം", "അപകടം", "മരണം", "അന്തരിച്ചു"],
+      muted: ["നക്ഷത്രഫലം"],
+    },
+  },
+  pa: {
+    name: "ਪੰਜਾਬੀ",
+    newsdata: { language: "pa", country: "in" },
+    summary: { terminators: "।", cutAt: ["ਇਹ ਵੀ ਪੜ੍ਹੋ"] },
+    categories: DEFAULT_CATEGORIES,
+    push: { breakingTitle: "🚨 ਬ੍ਰੇਕਿੰਗ ਨਿਊਜ਼" },
+    breaking: {
+      strong: ["ਬ੍ਰੇਕਿੰਗ", "ਵੱਡੀ ਖ਼ਬਰ", "breaking"],
+      alert: ["ਭੂਚਾਲ", "ਧਮਾਕਾ", "ਹਾਦਸਾ", "ਮੌਤ", "ਦੇਹਾਂਤ"],
+      muted: ["ਰਾਸ਼ੀਫਲ"],
+    },
+  },
+  ur: {
+    name: "اردو",
+    newsdata: { language: "ur", country: "in" },
+    // Urdu full stop (۔) and question mark (؟)
+    summary: { terminators: "۔؟", cutAt: ["یہ بھی پڑھیں"] },
+    categories: DEFAULT_CATEGORIES,
+    push: { breakingTitle: "🚨 بریکنگ نیوز" },
+    breaking: {
+      strong: ["بریکنگ", "بریکنگ نیوز", "بڑی خبر", "breaking"],
+      alert: ["زلزلہ", "دھماکہ", "حادثہ", "ہلاک", "انتقال"],
+      muted: ["زائچہ"],
+    },
+  },
+};
+
+const ENABLED_LANGUAGES = (process.env.ENABLED_LANGUAGES || "en,hi")
+  .split(",")
+  .map((code) => code.trim())
+  .filter((code) => LANGUAGES[code]);
+
+function isEnabledLanguage(code) {
+  return ENABLED_LANGUAGES.includes(code);
+}
+
+function languageConfig(code) {
+  return LANGUAGES[code] || LANGUAGES.en;
+}
+
+function isAllowedCategory(language, category) {
+  return languageConfig(language).categories.includes(category);
+}
+
+app.get("/languages", (req, res) => {
+  res.json(
+    ENABLED_LANGUAGES.map((code) => ({
+      code,
+      name: LANGUAGES[code].name,
+      categories: LANGUAGES[code].categories,
+    }))
+  );
+});
+
 /* ================= REGISTER FCM TOKEN ================= */
 
 app.post("/register-token", async (req, res) => {
   try {
-    const { token, language, interests = [] } = req.body;
+    const { token, language, interests = [], preferences, deviceId } = req.body;
 
     if (!token) {
   return res.status(400).json({
@@ -87,7 +480,7 @@ app.post("/register-token", async (req, res) => {
   });
 }
 
-if (!["en", "hi"].includes(language)) {
+if (!isEnabledLanguage(language)) {
   return res.status(400).json({
     success: false,
     error: "Invalid language",
@@ -101,45 +494,72 @@ if (!Array.isArray(interests)) {
   });
 }
 
+    let parsedPrefs = null;
+
+    if (preferences !== undefined) {
+      const parsed = parsePushPreferences(preferences);
+
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          error: parsed.error,
+        });
+      }
+
+      parsedPrefs = parsed.preferences;
+    }
+
     const cacheKey = token;
     const cacheValue = JSON.stringify({
       language,
       interests,
+      preferences: parsedPrefs,
+      deviceId,
     });
 
-    if (tokenCache.get(cacheKey) === cacheValue) {
+    if ((await tokenCache.get(cacheKey)) === cacheValue) {
+      await touchToken(token);
+
       return res.json({
         success: true,
         cached: true,
       });
     }
 
-    await db.collection("fcmTokens").doc(token).set({
+    const tokenDoc = {
       token,
       language,
       interests,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
-
-    tokenCache.set(cacheKey, cacheValue);
-    
-    // Update RAM cache
+      lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
 
-interests.forEach((category) => {
+    // Links the push token to the app's deviceId for the For You feed
+    if (deviceId) {
+      tokenDoc.deviceId = String(deviceId);
+    }
 
-  const key = `${language}_${category}`;
+    if (parsedPrefs) {
+      tokenDoc.preferences = parsedPrefs;
+      tokenPrefs.set(token, parsedPrefs);
+    }
 
-  if (!fcmTokenCache.has(key)) {
-    fcmTokenCache.set(key, []);
-  }
+    // Merge so preferences and push counts survive a re-register
+    await db.collection("fcmTokens").doc(token).set(tokenDoc, { merge: true });
 
-  const tokens = fcmTokenCache.get(key);
+    await tokenCache.set(cacheKey, cacheValue);
+    tokenSeenAt.set(token, Date.now());
 
-  if (!tokens.includes(token)) {
-    tokens.push(token);
-  }
+    // Update RAM cache, dropping segments from old interests or language
+    removeTokenFromCache(token);
+    addTokenToCache(token, language, interests);
 
-});
+    publishCacheEvent("token.update", {
+      token,
+      language,
+      interests,
+      preferences: parsedPrefs,
+    });
 
     res.json({
       success: true,
@@ -151,721 +571,5597 @@ interests.forEach((category) => {
   }
 });
 
-/* ================= PUSH LIMIT CONTROL ================= */
+app.delete("/register-token", async (req, res) => {
+  try {
+    const token = req.body?.token || req.query.token;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: "Token is required",
+      });
+    }
 
-async function canSendPush() {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+    await db.collection("fcmTokens").doc(token).delete();
 
-  const snapshot = await db
-    .collection("pushLogs")
-    .where("timestamp", ">", today)
-    .get();
+    forgetToken(token);
 
-  return snapshot.size < 6;
-}
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Token delete error:", err.message);
+    res.status(500).json({ success: false });
+  }
+});
 
-/* ================= SEND BREAKING PUSH ================= */
+/* ================= TOKEN LIFECYCLE ================= */
 
-async function sendBreakingPush(articleData, articleId) {
-  try {
-    const allowed = await canSendPush();
-    if (!allowed) return;
+const TOKEN_TTL_DAYS = parseInt(process.env.TOKEN_TTL_DAYS) || 60;
+const TOKEN_TOUCH_INTERVAL = 12 * 60 * 60 * 1000; // 12 hours
 
-    const key = `${articleData.language}_${articleData.category}`;
+function forgetToken(token, { broadcast = true } = {}) {
+  removeTokenFromCache(token);
+  tokenPrefs.delete(token);
+  tokenPushCounts.delete(token);
+  tokenSeenAt.delete(token);
 
-const tokens = fcmTokenCache.get(key) || [];
+  if (broadcast) {
+    tokenCache.delete(token);
+    publishCacheEvent("token.forget", { token });
+  }
+}
+
+async function touchToken(token) {
+  const last = tokenSeenAt.get(token) || 0;
+
+  if (Date.now() - last < TOKEN_TOUCH_INTERVAL) return;
 
-if (tokens.length === 0) {
-  return;
+  tokenSeenAt.set(token, Date.now());
+
+  await db
+    .collection("fcmTokens")
+    .doc(token)
+    .update({ lastSeenAt: admin.firestore.FieldValue.serverTimestamp() })
+    .catch((err) => console.error("Token touch error:", err.message));
 }
 
-    const response = await admin.messaging().sendEachForMulticast({
-  tokens,
-  notification: {
-    title: "🚨 Breaking News",
-    body: articleData.title,
-  },
-  data: {
-    articleId,
-    category: articleData.category,
-    language: articleData.language,
-  }
-});
+async function pruneStaleTokens() {
+  console.log("Running pruneStaleTokens()");
 
+  try {
+    const cutoff = new Date(Date.now() - TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    let lastDoc = null;
+    let pruned = 0;
 
-const deletePromises = [];
+    // createdAt is rewritten on every register, so anything seen
+    // recently has lastSeenAt >= createdAt and is filtered out below
+    while (true) {
+      let query = db
+        .collection("fcmTokens")
+        .where("createdAt", "<", cutoff)
+        .orderBy("createdAt")
+        .limit(500);
 
-response.responses.forEach((r, i) => {
+      if (lastDoc) query = query.startAfter(lastDoc);
 
-  if (!r.success) {
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
 
-    console.error(
-      `Push failed for token ${tokens[i]}:`,
-      r.error
-    );
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
 
-    // Remove invalid FCM token
-    if (
-      r.error?.code ===
-      "messaging/registration-token-not-registered"
-    ) {
+      const stale = snapshot.docs.filter((doc) => {
+        const { lastSeenAt, createdAt } = doc.data();
+        return (lastSeenAt || createdAt).toMillis() < cutoff.getTime();
+      });
 
-      deletePromises.push(
-        db.collection("fcmTokens")
-          .doc(tokens[i])
-          .delete()
-      );
-      const cachedTokens = fcmTokenCache.get(key);
+      if (stale.length > 0) {
+        const batch = db.batch();
 
-if (cachedTokens) {
-  fcmTokenCache.set(
-    key,
-    cachedTokens.filter((t) => t !== tokens[i])
-  );
-}
+        stale.forEach((doc) => {
+          batch.delete(doc.ref);
+          forgetToken(doc.id);
+        });
+
+        await batch.commit();
+        pruned += stale.length;
+      }
+
+      if (snapshot.size < 500) break;
     }
-  }
-});
 
-await Promise.all(deletePromises);
-    await db.collection("pushLogs").add({
-      articleId,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-    });
+    console.log(`Pruned ${pruned} FCM tokens not seen in ${TOKEN_TTL_DAYS} days`);
   } catch (err) {
-    console.error("Push error:", err.message);
+    console.error("Token prune error:", err.message);
   }
 }
 
-/* ================= SUMMARY CLEANER ================= */
+/* ================= PUSH PREFERENCES ================= */
 
-function cleanAndTrimSummary(text, minWords = 80, maxWords = 110) {
-  if (!text) return "";
+app.get("/register-token/preferences", async (req, res) => {
+  try {
+    const token = String(req.query.token || "");
 
-  text = text.replace(/https?:\/\/\S+/g, "");
-  text = text.replace(/pic\.twitter\.com\S*/g, "");
-  text = text.replace(/—.*?(\.|\n)/g, "");
-  text = text.replace(/\[.*?\]/g, "");
-  text = text.split("Also Read")[0];
-  text = text.replace(/(\d)\.(\d)/g, "$1_DECIMAL_$2");
-  text = text.replace(/\s+/g, " ").trim();
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: "Token is required",
+      });
+    }
 
-  const sentences = text.match(/[^\.!\?]+[\.!\?]+/g);
-  if (!sentences) return "";
+    const doc = await db.collection("fcmTokens").doc(token).get();
 
-  let finalText = "";
-  let wordCount = 0;
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: "Token not registered",
+      });
+    }
 
-  for (const sentence of sentences) {
-    const restored = sentence.replace(/_DECIMAL_/g, ".");
-    const words = restored.trim().split(" ").length;
+    res.json({
+      success: true,
+      preferences: {
+        ...DEFAULT_PUSH_PREFERENCES,
+        ...(doc.data().preferences || {}),
+      },
+    });
+  } catch (err) {
+    console.error("Preferences load error:", err.message);
+    res.status(500).json({ success: false });
+  }
+});
 
-    if (wordCount + words > maxWords) break;
+app.put("/register-token/preferences", async (req, res) => {
+  try {
+    const { token, preferences } = req.body;
 
-    finalText += restored.trim() + " ";
-    wordCount += words;
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: "Token is required",
+      });
+    }
 
-    if (wordCount >= minWords) break;
-  }
+    const docRef = db.collection("fcmTokens").doc(token);
+    const doc = await docRef.get();
 
-  return finalText.trim();
-}
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: "Token not registered",
+      });
+    }
 
-/* ================= CATEGORY MAP ================= */
+    const parsed = parsePushPreferences({
+      ...(doc.data().preferences || {}),
+      ...(preferences || {}),
+    });
 
-function mapCategory(newsDataCategory) {
-  if (!newsDataCategory) return "India";
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error,
+      });
+    }
 
-  const cat = newsDataCategory.toLowerCase();
+    await docRef.update({ preferences: parsed.preferences });
 
-  if (cat.includes("world")) return "World";
-  if (cat.includes("business")) return "Business";
-  if (cat.includes("sports")) return "Sports";
-  if (cat.includes("technology")) return "Technology";
-  if (cat.includes("health")) return "Health";
+    tokenPrefs.set(token, parsed.preferences);
+    await tokenCache.delete(token);
 
-  return "India";
-}
+    publishCacheEvent("token.update", {
+      token,
+      preferences: parsed.preferences,
+    });
 
-function isBreaking(title) {
-  const t = title.toLowerCase();
-  return (
-    t.includes("breaking") ||
-    t.includes("live") ||
-    t.includes("alert") ||
-    t.includes("just in")
-  );
+    res.json({ success: true, preferences: parsed.preferences });
+  } catch (err) {
+    console.error("Preferences save error:", err.message);
+    res.status(500).json({ success: false });
+  }
+});
+
+/* ================= PUSH LIMIT CONTROL ================= */
+
+/*
+Limits are per device:
+
+preferences: {
+  timezone: "Asia/Kolkata",
+  quietHours: { start: "23:00", end: "07:00" } | null,
+  dailyCap: 2,
+  breakingOnly: false
 }
+*/
 
-/* ================= DELETE OLD NEWS ================= */
+const DEFAULT_PUSH_PREFERENCES = {
+  timezone: "Asia/Kolkata",
+  quietHours: null,
+  dailyCap: 6,
+  breakingOnly: false,
+};
 
-async function deleteOldNews() {
+const MAX_DAILY_PUSH_CAP = 20;
 
-  console.log("Running deleteOldNews()");
+const clockFormatters = new Map();
 
+function isValidTimezone(timeZone) {
   try {
-    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-    const snapshot = await db
-  .collection("news")
-  .where("timestamp", "<", sevenDaysAgo)
-  .limit(500)
-  .get();
+function parseClockTime(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || ""));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
 
-    if (snapshot.empty) return;
+function parsePushPreferences(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Preferences must be an object" };
+  }
 
-   const batch = db.batch();
+  const preferences = { ...DEFAULT_PUSH_PREFERENCES };
 
-snapshot.docs.forEach((doc) => {
-  const data = doc.data();
+  if (input.timezone !== undefined) {
+    if (!isValidTimezone(input.timezone)) {
+      return { error: "Invalid timezone" };
+    }
 
-  if (data.sourceUrl) {
-    knownUrls.delete(data.sourceUrl);
+    preferences.timezone = input.timezone;
   }
 
-  batch.delete(doc.ref);
-});
+  if (input.quietHours) {
+    const { start, end } = input.quietHours;
 
-await batch.commit();
-  } catch (err) {
-    console.error("Delete old news error:", err.message);
-  }
-}
+    if (parseClockTime(start) === null || parseClockTime(end) === null) {
+      return { error: "quietHours needs start and end as HH:MM" };
+    }
 
-/* ================= LOAD RECENT URL CACHE ================= */
+    preferences.quietHours = { start, end };
+  }
 
-async function loadKnownUrls() {
-  try {
-    knownUrls.clear();
+  if (input.dailyCap !== undefined) {
+    const cap = Number(input.dailyCap);
 
-    const snapshot = await db
-  .collection("news")
-  .orderBy("timestamp", "desc")
-  .limit(300)
-  .select("sourceUrl")
-  .get();
+    if (!Number.isInteger(cap) || cap < 0 || cap > MAX_DAILY_PUSH_CAP) {
+      return { error: `dailyCap must be between 0 and ${MAX_DAILY_PUSH_CAP}` };
+    }
 
-    snapshot.forEach((doc) => {
-      const url = doc.data().sourceUrl;
+    preferences.dailyCap = cap;
+  }
 
-      if (url) {
-        knownUrls.add(url);
-      }
-    });
+  if (input.breakingOnly !== undefined) {
+    preferences.breakingOnly = input.breakingOnly === true;
+  }
 
-    console.log(
-  `Loaded ${knownUrls.size} URLs into RAM at ${new Date().toISOString()}`
-);
+  return { preferences };
+}
 
-  } catch (err) {
-    console.error(
-      "URL cache load failed:",
-      err.message
+function localClock(timeZone, date = new Date()) {
+  if (!clockFormatters.has(timeZone)) {
+    clockFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-CA", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      })
     );
   }
-}
 
-/* ================= LOAD FCM TOKENS ================= */
+  const parts = {};
+  for (const part of clockFormatters.get(timeZone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
 
-async function loadFcmTokens() {
-  try {
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
 
-    fcmTokenCache.clear();
+function inQuietHours(quietHours, minutes) {
+  if (!quietHours) return false;
 
-    const snapshot = await db
-      .collection("fcmTokens")
-      .get();
+  const start = parseClockTime(quietHours.start);
+  const end = parseClockTime(quietHours.end);
 
-    snapshot.forEach((doc) => {
+  if (start === end) return false;
 
-      const data = doc.data();
+  // Windows like 23:00-07:00 wrap past midnight
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
 
-      const language = data.language;
-      const interests = data.interests || [];
+function canPushToToken(token, { breaking }, now = new Date()) {
+  const prefs = tokenPrefs.get(token) || DEFAULT_PUSH_PREFERENCES;
 
-      interests.forEach((category) => {
+  if (prefs.breakingOnly && !breaking) return false;
 
-        const key = `${language}_${category}`;
+  const clock = localClock(prefs.timezone || DEFAULT_PUSH_PREFERENCES.timezone, now);
 
-        if (!fcmTokenCache.has(key)) {
-          fcmTokenCache.set(key, []);
-        }
+  if (inQuietHours(prefs.quietHours, clock.minutes)) return false;
 
-        const list = fcmTokenCache.get(key);
+  const sent = tokenPushCounts.get(token);
+  const sentToday = sent && sent.day === clock.day ? sent.count : 0;
 
-if (!list.includes(data.token)) {
-    list.push(data.token);
+  return sentToday < prefs.dailyCap;
 }
 
-      });
+async function recordTokenPushes(tokens, now = new Date()) {
+  const updates = tokens.map((token) => {
+    const prefs = tokenPrefs.get(token) || DEFAULT_PUSH_PREFERENCES;
+    const { day } = localClock(prefs.timezone || DEFAULT_PUSH_PREFERENCES.timezone, now);
 
+    const sent = tokenPushCounts.get(token);
+    const count = sent && sent.day === day ? sent.count + 1 : 1;
+
+    tokenPushCounts.set(token, { day, count });
+
+    return [token, { pushDay: day, pushCount: count }];
+  });
+
+  // Firestore batches hold at most 500 writes
+  for (let i = 0; i < updates.length; i += 500) {
+    const chunk = updates.slice(i, i + 500);
+    const batch = db.batch();
+
+    chunk.forEach(([token, data]) => {
+      batch.set(db.collection("fcmTokens").doc(token), data, { merge: true });
     });
 
-    console.log(
-      `Loaded ${snapshot.size} FCM tokens into RAM`
-    );
+    await batch.commit();
 
-  } catch (err) {
+    // Other instances enforce the same daily caps
+    await publishCacheEvent("token.pushes", {
+      counts: Object.fromEntries(
+        chunk.map(([token, { pushDay, pushCount }]) => [
+          token,
+          { day: pushDay, count: pushCount },
+        ])
+      ),
+    });
+  }
+}
 
-    console.error(
-      "FCM cache load failed:",
-      err.message
-    );
+// Keeps the higher count when two instances pushed on the same day
+function mergeTokenPushCount(token, { day, count }) {
+  const current = tokenPushCounts.get(token);
 
+  if (
+    !current ||
+    current.day < day ||
+    (current.day === day && current.count < count)
+  ) {
+    tokenPushCounts.set(token, { day, count });
   }
 }
 
-/* ================= FETCH NEWS ================= */
+/* ================= MULTICAST BATCHING ================= */
 
-async function fetchNewsByLanguage(lang) {
-  try {
-    const [indiaResponse, otherResponse] = await Promise.all([
-  axios.get("https://newsdata.io/api/1/news", {
-    timeout: 15000,
-    params: {
-      apikey: process.env.NEWSDATA_API_KEY,
-      country: "in",
-      language: lang,
-      removeduplicate: 1,
-    },
-  }),
+const FCM_BATCH_SIZE = 500; // FCM's limit per multicast call
+const FCM_BATCH_CONCURRENCY = 3;
+const FCM_MAX_ATTEMPTS = 3;
 
-  axios.get("https://newsdata.io/api/1/news", {
-    timeout: 15000,
-    params: {
-      apikey: process.env.NEWSDATA_API_KEY,
-      country: "in",
-      language: lang,
-      category: "world,business,sports,technology,health",
-      removeduplicate: 1,
-    },
-  }),
+const TRANSIENT_PUSH_ERRORS = new Set([
+  "messaging/internal-error",
+  "messaging/unavailable",
+  "messaging/server-unavailable",
+  "app/network-error",
 ]);
 
-    const combinedArticles = [
-      ...(indiaResponse.data.results || []),
-      ...(otherResponse.data.results || []),
-    ];
+const INVALID_TOKEN_ERRORS = new Set([
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+]);
 
-    for (const item of combinedArticles) {
-      if (!item.title || !item.link) continue;
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-      if (item.duplicate) continue;
+function backoffDelay(attempt, baseMs = 500) {
+  return baseMs * 2 ** (attempt - 1) + Math.floor(Math.random() * baseMs);
+}
 
-      const summary = cleanAndTrimSummary(item.description);
-      if (!summary) continue;
+// Sends one batch, retrying only the tokens that hit a transient error
+async function sendBatchWithRetry(tokens, message) {
+  const responses = new Array(tokens.length);
+  let pending = tokens.map((token, i) => i);
+  let attempts = 0;
 
-      if (knownUrls.has(item.link)) {
-  continue;
-}
+  while (pending.length > 0 && attempts < FCM_MAX_ATTEMPTS) {
+    if (attempts > 0) await sleep(backoffDelay(attempts));
+    attempts++;
 
-      const category = mapCategory(item.category?.[0]);
-      const breaking = isBreaking(item.title);
+    let response;
 
-      const docRef = await db.collection("news").add({
-        title: item.title,
-        summary,
-        category,
-        language: lang,
-        source: item.source_id || "News",
-        sourceUrl: item.link,
-        image: item.image_url || "",
-        breaking,
-        likes: 0,
-        views: 0,
-        likedBy: [],
-        viewedBy: [],
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    try {
+      response = await admin.messaging().sendEachForMulticast({
+        ...message,
+        tokens: pending.map((i) => tokens[i]),
       });
+    } catch (err) {
+      if (TRANSIENT_PUSH_ERRORS.has(err.code) && attempts < FCM_MAX_ATTEMPTS) {
+        continue;
+      }
 
-      knownUrls.add(item.link);
+      pending.forEach((i) => {
+        responses[i] = { success: false, error: err };
+      });
+      break;
+    }
 
-      if (breaking) {
-        await sendBreakingPush(
-          { title: item.title, category, language: lang },
-          docRef.id
-        );
+    const retry = [];
+
+    response.responses.forEach((r, j) => {
+      const i = pending[j];
+      responses[i] = r;
+
+      if (!r.success && TRANSIENT_PUSH_ERRORS.has(r.error?.code)) {
+        retry.push(i);
       }
-    }
-  } catch (err) {
-    console.error("Fetch error:", err.message);
+    });
+
+    pending = retry;
   }
+
+  return { responses, attempts };
 }
 
-async function fetchNews() {
+async function sendMulticastInChunks(tokens, message) {
+  const chunks = [];
+
+  for (let i = 0; i < tokens.length; i += FCM_BATCH_SIZE) {
+    chunks.push(tokens.slice(i, i + FCM_BATCH_SIZE));
+  }
+
+  const results = new Array(chunks.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < chunks.length) {
+      const index = next++;
+      results[index] = await sendBatchWithRetry(chunks[index], message);
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(FCM_BATCH_CONCURRENCY, chunks.length) }, worker)
+  );
+
+  const batches = results.map(({ responses, attempts }, index) => {
+    const success = responses.filter((r) => r.success).length;
+
+    return {
+      index,
+      size: responses.length,
+      success,
+      failure: responses.length - success,
+      attempts,
+    };
+  });
 
-  newsCache.clear();
+  batches
+    .filter((batch) => batch.failure > 0 || batch.attempts > 1)
+    .forEach((batch) =>
+      console.log(
+        `Push batch ${batch.index}: ${batch.success}/${batch.size} sent after ${batch.attempts} attempt(s)`
+      )
+    );
 
-  await fetchNewsByLanguage("en");
-  await fetchNewsByLanguage("hi");
+  const responses = results.flatMap((r) => r.responses);
+  const successCount = batches.reduce((sum, b) => sum + b.success, 0);
 
-  // Clear trending cache after fresh news
-  delete trendingCache.en;
-  delete trendingCache.hi;
+  return {
+    responses,
+    successCount,
+    failureCount: responses.length - successCount,
+    batches,
+  };
 }
 
+/* ================= SEND PUSH ================= */
 
-app.get("/news/trending", async (req, res) => {
-  try {
-    const language = req.query.language || "en";
+function addTokenToCache(token, language, interests) {
+  if (!tokenSegments.has(token)) {
+    tokenSegments.set(token, new Set());
+  }
 
-    const cache = trendingCache[language];
+  interests.forEach((category) => {
+    const key = `${language}_${category}`;
 
-    // Cache valid for 5 minutes
-    if (
-      cache &&
-      Date.now() - cache.timestamp < 5 * 60 * 1000
-    ) {
-      return res.json(cache.data);
+    if (!fcmTokenCache.has(key)) {
+      fcmTokenCache.set(key, new Set());
     }
 
-    const snapshot = await db
-      .collection("news")
-      .where("language", "==", language)
-      .orderBy("timestamp", "desc")
-      .limit(50)
-      .get();
+    fcmTokenCache.get(key).add(token);
+    tokenSegments.get(token).add(key);
+  });
+}
 
-    const articles = snapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+function removeTokenFromCache(token) {
+  for (const key of tokenSegments.get(token) || []) {
+    const tokens = fcmTokenCache.get(key);
+    if (!tokens) continue;
 
-    const scored = articles.map((a) => {
-      const hoursOld = a.timestamp
-        ? (Date.now() - a.timestamp.toDate().getTime()) / 3600000
-        : 100;
+    tokens.delete(token);
+    if (tokens.size === 0) fcmTokenCache.delete(key);
+  }
 
-      const baseScore =
-        (a.views || 0) * 2 +
-        (a.likes || 0) * 3 +
-        (a.breaking ? 15 : 0);
+  tokenSegments.delete(token);
+}
 
-      const timeFactor = 1 / (1 + hoursOld);
+/*
+Every delivery is logged to "pushLogs":
 
-      return {
-        ...a,
-        score: baseScore * timeFactor,
-      };
-    });
+{
+  articleId, kind: "breaking" | "campaign", campaignId,
+  language, category, segmentKeys,
+  targeted, success, failure,
+  errors: { "registration-token-not-registered": 3 },
+  batches: [{ index, size, success, failure, attempts }],
+  opens, timestamp
+}
 
-    scored.sort((a, b) => b.score - a.score);
+The log id goes out as data.pushId so the app can report opens.
+*/
+async function deliverPush({
+  segmentKeys,
+  title,
+  body,
+  data,
+  breaking = false,
+  kind = "breaking",
+}) {
+  const now = new Date();
+
+  const tokens = [
+    ...new Set(
+      segmentKeys.flatMap((key) => [...(fcmTokenCache.get(key) || [])])
+    ),
+  ].filter((token) => canPushToToken(token, { breaking }, now));
+
+  if (tokens.length === 0) {
+    return { pushId: null, targeted: 0, success: 0, failure: 0 };
+  }
 
-    const result = scored.slice(0, 20);
+  const logRef = db.collection("pushLogs").doc();
 
-    trendingCache[language] = {
-      timestamp: Date.now(),
-      data: result,
-    };
+  const response = await sendMulticastInChunks(tokens, {
+    notification: { title, body },
+    data: { ...data, pushId: logRef.id },
+  });
+
+  const deletePromises = [];
+  const errors = {};
+
+  response.responses.forEach((r, i) => {
+    if (r.success) return;
+
+    const code = (r.error?.code || "unknown").replace(/^messaging\//, "");
+    errors[code] = (errors[code] || 0) + 1;
+
+    console.error(
+      `Push failed for token ${tokens[i]}:`,
+      r.error
+    );
+
+    // Remove invalid FCM token
+    if (INVALID_TOKEN_ERRORS.has(r.error?.code)) {
+      deletePromises.push(
+        db.collection("fcmTokens")
+          .doc(tokens[i])
+          .delete()
+      );
+
+      forgetToken(tokens[i]);
+    }
+  });
+
+  await Promise.all(deletePromises);
+
+  await recordTokenPushes(
+    tokens.filter((token, i) => response.responses[i].success),
+    now
+  ).catch((err) => console.error("Push count save error:", err.message));
+
+  const result = {
+    targeted: tokens.length,
+    success: response.successCount,
+    failure: response.failureCount,
+  };
+
+  await logRef.set({
+    articleId: data.articleId,
+    kind,
+    campaignId: data.campaignId || null,
+    language: data.language || null,
+    category: data.category || null,
+    segmentKeys,
+    ...result,
+    errors,
+    batches: response.batches,
+    opens: 0,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return { pushId: logRef.id, ...result };
+}
 
-    res.json(result);
+/* ================= SEND BREAKING PUSH ================= */
+
+async function sendBreakingPush(articleData, articleId) {
+  try {
+    await deliverPush({
+      segmentKeys: [`${articleData.language}_${articleData.category}`],
+      breaking: true,
+      title: languageConfig(articleData.language).push.breakingTitle,
+      body: articleData.title,
+      data: {
+        articleId,
+        category: articleData.category,
+        language: articleData.language,
+      },
+    });
   } catch (err) {
-    console.error("Trending failed:", err.message);
-    res.status(500).json({ error: "Trending failed" });
+    console.error("Push error:", err.message);
   }
-});
+}
 
-/* ================= SINGLE NEWS ARTICLE ================= */
+/* ================= PUSH OPENS ================= */
 
-app.get("/news/article/:id", async (req, res) => {
+app.post("/push/:id/opened", async (req, res) => {
   try {
-    const articleId = req.params.id;
+    const deviceKey = req.body.deviceId || req.body.token;
 
-    if (!articleId) {
+    if (!deviceKey) {
       return res.status(400).json({
         success: false,
-        error: "Article ID is required",
+        error: "deviceId or token is required",
       });
     }
 
-    const doc = await db
-      .collection("news")
-      .doc(articleId)
-      .get();
+    const logRef = db.collection("pushLogs").doc(req.params.id);
 
-    if (!doc.exists) {
+    // One open per device, hashed so raw tokens aren't stored twice
+    const openRef = logRef
+      .collection("opens")
+      .doc(crypto.createHash("sha256").update(String(deviceKey)).digest("hex"));
+
+    const found = await db.runTransaction(async (tx) => {
+      const [log, open] = await Promise.all([tx.get(logRef), tx.get(openRef)]);
+
+      if (!log.exists) return false;
+      if (open.exists) return true;
+
+      tx.set(openRef, {
+        openedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.update(logRef, {
+        opens: admin.firestore.FieldValue.increment(1),
+      });
+
+      return true;
+    });
+
+    if (!found) {
       return res.status(404).json({
         success: false,
-        error: "Article not found",
+        error: "Push not found",
       });
     }
 
-    res.json({
-      id: doc.id,
-      ...doc.data(),
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Push open error:", err.message);
+    res.status(500).json({ success: false });
+  }
+});
+
+/* ================= PUSH CAMPAIGNS ================= */
+
+/*
+Manual pushes composed by editors, stored in "pushCampaigns":
+
+{
+  articleId, title, body,
+  target: { all: true } | { languages: ["en"], categories: ["Sports"] },
+  sendAt: timestamp,
+  status: "pending" | "sending" | "sent" | "failed" | "cancelled",
+  result: { targeted, success, failure },
+  createdBy, createdAt, claimedAt, sentAt, cancelledBy, error
+}
+
+A campaign still "sending" a lease TTL after claimedAt lost its
+instance mid-run; dispatchDueCampaigns marks it failed rather than
+sending it again, since some devices may already have it.
+*/
+
+function validatePushTarget(target) {
+  if (!target || typeof target !== "object") {
+    return "target is required";
+  }
+
+  if (target.all === true) return null;
+
+  const { languages = [], categories = [] } = target;
+
+  if (!Array.isArray(languages) || !Array.isArray(categories)) {
+    return "target.languages and target.categories must be arrays";
+  }
+
+  if (languages.length === 0 && categories.length === 0) {
+    return "target needs all: true, languages or categories";
+  }
+
+  if (languages.some((lang) => !isEnabledLanguage(lang))) {
+    return "Invalid language in target";
+  }
+
+  return null;
+}
+
+function resolveSegmentKeys(target) {
+  const languages = target.languages || [];
+  const categories = target.categories || [];
+
+  return [...fcmTokenCache.keys()].filter((key) => {
+    if (target.all === true) return true;
+
+    const split = key.indexOf("_");
+    const language = key.slice(0, split);
+    const category = key.slice(split + 1);
+
+    return (
+      (languages.length === 0 || languages.includes(language)) &&
+      (categories.length === 0 || categories.includes(category))
+    );
+  });
+}
+
+// Moves a campaign from pending to sending so only one run delivers it
+async function claimCampaign(ref) {
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+
+    if (!doc.exists || doc.data().status !== "pending") return null;
+
+    tx.update(ref, {
+      status: "sending",
+      claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return doc.data();
+  });
+}
+
+async function runCampaign(ref) {
+  const campaign = await claimCampaign(ref);
+  if (!campaign) return;
+
+  try {
+    const result = await deliverPush({
+      segmentKeys: resolveSegmentKeys(campaign.target),
+      title: campaign.title,
+      body: campaign.body,
+      breaking: campaign.breaking === true,
+      kind: "campaign",
+      data: {
+        articleId: campaign.articleId,
+        category: campaign.category || "",
+        language: campaign.language || "",
+        campaignId: ref.id,
+      },
     });
 
+    await ref.update({
+      status: "sent",
+      result,
+      sentAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
   } catch (err) {
-    console.error("Single article fetch error:", err.message);
+    console.error(`Campaign ${ref.id} failed:`, err.message);
 
-    res.status(500).json({
-      success: false,
-      error: "Failed to fetch article",
+    await ref.update({
+      status: "failed",
+      error: err.message,
+    });
+  }
+}
+
+async function failStaleCampaigns() {
+  const snapshot = await db
+    .collection("pushCampaigns")
+    .where("status", "==", "sending")
+    .limit(20)
+    .get();
+
+  const cutoff = Date.now() - LEASE_TTL_MS;
+
+  for (const doc of snapshot.docs) {
+    if ((doc.data().claimedAt?.toMillis?.() || 0) > cutoff) continue;
+
+    const failed = await db.runTransaction(async (tx) => {
+      const current = await tx.get(doc.ref);
+      const data = current.data();
+
+      if (data?.status !== "sending") return false;
+      if ((data.claimedAt?.toMillis?.() || 0) > cutoff) return false;
+
+      tx.update(doc.ref, {
+        status: "failed",
+        error: "Interrupted while sending; some devices may have received it",
+      });
+
+      return true;
     });
+
+    if (failed) console.error(`Campaign ${doc.id} was interrupted while sending`);
+  }
+}
+
+async function dispatchDueCampaigns() {
+  try {
+    await failStaleCampaigns();
+
+    const snapshot = await db
+      .collection("pushCampaigns")
+      .where("status", "==", "pending")
+      .where("sendAt", "<=", new Date())
+      .orderBy("sendAt", "asc")
+      .limit(20)
+      .get();
+
+    for (const doc of snapshot.docs) {
+      await runCampaign(doc.ref);
+    }
+  } catch (err) {
+    console.error("Campaign dispatch error:", err.message);
+  }
+}
+
+/* ================= SUMMARY CLEANER ================= */
+
+/*
+Summary rules come from each language's registry entry: extra sentence
+terminators, trailing boilerplate to cut, and optionally a custom
+byline pattern. Profiles are built once per language.
+*/
+
+const summaryProfiles = new Map();
+
+function escapeCharClass(chars) {
+  return chars.replace(/[\]\\^-]/g, "\\$&");
+}
+
+function summaryProfile(lang) {
+  const code = LANGUAGES[lang] ? lang : "en";
+
+  if (summaryProfiles.has(code)) return summaryProfiles.get(code);
+
+  const {
+    terminators = "",
+    cutAt = [],
+    byline,
+    minWords = 80,
+    maxWords = 110,
+  } = LANGUAGES[code].summary;
+
+  const ends = escapeCharClass(".!?" + terminators);
+
+  const profile = {
+    sentencePattern: new RegExp(`[^${ends}]+[${ends}]+`, "g"),
+    spaceBeforeEnd: new RegExp(` ([${ends}])`, "g"),
+    // By default only short "— PTI" style credits; longer runs are text
+    byline:
+      byline ||
+      new RegExp(
+        `—\\s*[^\\s${ends}—]+(?:\\s+[^\\s${ends}—]+){0,3}\\s*(?=[${ends}\\n]|$)`,
+        "g"
+      ),
+    cutAt,
+    minWords,
+    maxWords,
+  };
+
+  summaryProfiles.set(code, profile);
+
+  return profile;
+}
+
+// Counts runs of letters, combining marks and digits, so Devanagari
+// matras and stray danda/punctuation tokens don't skew the total
+function countWords(text) {
+  return (String(text).match(/[\p{L}\p{M}\p{N}]+/gu) || []).length;
+}
+
+function cleanAndTrimSummary(text, lang = "en") {
+  if (!text) return "";
+
+  const profile = summaryProfile(lang);
+
+  text = text.replace(/https?:\/\/\S+/g, "");
+  text = text.replace(/pic\.twitter\.com\S*/g, "");
+  text = text.replace(profile.byline, "");
+  text = text.replace(/\[.*?\]/g, "");
+
+  for (const marker of profile.cutAt) {
+    text = text.split(marker)[0];
+  }
+
+  text = text.replace(/(\p{Nd})\.(\p{Nd})/gu, "$1_DECIMAL_$2");
+  text = text.replace(/\s+/g, " ").replace(profile.spaceBeforeEnd, "$1").trim();
+
+  const sentences = text.match(profile.sentencePattern);
+  if (!sentences) return "";
+
+  let finalText = "";
+  let wordCount = 0;
+
+  for (const sentence of sentences) {
+    const restored = sentence.replace(/_DECIMAL_/g, ".");
+    const words = countWords(restored);
+
+    if (wordCount + words > profile.maxWords) break;
+
+    finalText += restored.trim() + " ";
+    wordCount += words;
+
+    if (wordCount >= profile.minWords) break;
+  }
+
+  return finalText.trim();
+}
+
+/* ================= UPSTREAM RESILIENCE ================= */
+
+/*
+Calls to news upstreams go through callUpstream(name, request), which
+retries timeouts, 429s and 5xx with backoff (honouring Retry-After)
+and keeps a circuit breaker per upstream: "newsdata" for the API and
+"rss:<host>" per feed host. After UPSTREAM_FAILURE_THRESHOLD failed
+calls in a row the circuit opens and calls fail fast for
+UPSTREAM_COOLDOWN_MS; the first call after that is a trial that
+closes it again or re-opens it.
+
+NewsData credits are counted per UTC day in "apiUsage/newsdata_<day>":
+
+{ day, credits, exhausted, updatedAt }
+
+Below QUOTA_CONSERVE_RATIO of NEWSDATA_DAILY_CREDITS left, NewsData
+sources poll QUOTA_CONSERVE_FACTOR times less often and fetch one page
+per request. At zero, or once NewsData reports the quota used up, they
+pause until the next day.
+*/
+
+const UPSTREAM_MAX_ATTEMPTS = 3;
+const UPSTREAM_FAILURE_THRESHOLD = 3;
+const UPSTREAM_COOLDOWN_MS = 10 * 60 * 1000; // 10 minutes
+const UPSTREAM_MAX_RETRY_AFTER_MS = 30 * 1000;
+
+const NEWSDATA_DAILY_CREDITS = parseInt(process.env.NEWSDATA_DAILY_CREDITS) || 200;
+const NEWSDATA_MAX_PAGES = parseInt(process.env.NEWSDATA_MAX_PAGES) || 3;
+const QUOTA_CONSERVE_RATIO = 0.2;
+const QUOTA_CONSERVE_FACTOR = 2;
+
+const TRANSIENT_NETWORK_ERRORS = new Set([
+  "ECONNABORTED",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+]);
+
+const upstreamBreakers = new Map();
+
+const newsdataUsage = { day: null, credits: 0, exhausted: false };
+
+function upstreamHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (err) {
+    return "unknown";
+  }
+}
+
+// axios puts the status on err.response; rss-parser only in the message
+function upstreamStatus(err) {
+  if (err.response?.status) return err.response.status;
+
+  const match = /^Status code (\d{3})/.exec(err.message || "");
+  return match ? Number(match[1]) : null;
+}
+
+function isQuotaError(err) {
+  const data = err.response?.data;
+  const message = `${data?.results?.message || ""} ${data?.results?.code || ""}`;
+
+  return upstreamStatus(err) === 429 && /credit|quota/i.test(message);
+}
+
+function isRetryableUpstreamError(err) {
+  if (isQuotaError(err)) return false;
+
+  const status = upstreamStatus(err);
+
+  if (status) return status === 429 || status >= 500;
+
+  return TRANSIENT_NETWORK_ERRORS.has(err.code) || /timeout/i.test(err.message);
+}
+
+function retryDelay(err, attempt) {
+  const retryAfter = Number(err.response?.headers?.["retry-after"]);
+
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, UPSTREAM_MAX_RETRY_AFTER_MS);
+  }
+
+  return backoffDelay(attempt, 1000);
+}
+
+function upstreamBreaker(name) {
+  if (!upstreamBreakers.has(name)) {
+    upstreamBreakers.set(name, {
+      state: "closed",
+      failures: 0,
+      openUntil: null,
+      lastError: null,
+    });
+  }
+
+  return upstreamBreakers.get(name);
+}
+
+async function callUpstream(name, request) {
+  const breaker = upstreamBreaker(name);
+
+  if (breaker.state === "open") {
+    if (Date.now() < breaker.openUntil) {
+      throw new Error(
+        `${name} circuit open until ${new Date(breaker.openUntil).toISOString()}`
+      );
+    }
+
+    breaker.state = "half-open";
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await request();
+
+      breaker.state = "closed";
+      breaker.failures = 0;
+      breaker.openUntil = null;
+
+      return result;
+    } catch (err) {
+      // A trial call after cooldown gets no retries
+      if (
+        breaker.state !== "half-open" &&
+        attempt < UPSTREAM_MAX_ATTEMPTS &&
+        isRetryableUpstreamError(err)
+      ) {
+        await sleep(retryDelay(err, attempt));
+        continue;
+      }
+
+      breaker.failures++;
+      breaker.lastError = err.message;
+
+      if (
+        breaker.state === "half-open" ||
+        breaker.failures >= UPSTREAM_FAILURE_THRESHOLD
+      ) {
+        breaker.state = "open";
+        breaker.openUntil = Date.now() + UPSTREAM_COOLDOWN_MS;
+
+        console.error(`Circuit for ${name} opened:`, err.message);
+      }
+
+      throw err;
+    }
+  }
+}
+
+function quotaDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function newsdataQuota(usage = newsdataUsage) {
+  const day = quotaDay();
+
+  if (usage.day !== day) {
+    Object.assign(usage, { day, credits: 0, exhausted: false });
+  }
+
+  const remaining = Math.max(NEWSDATA_DAILY_CREDITS - usage.credits, 0);
+
+  let mode = "normal";
+  if (usage.exhausted || remaining === 0) {
+    mode = "exhausted";
+  } else if (remaining < NEWSDATA_DAILY_CREDITS * QUOTA_CONSERVE_RATIO) {
+    mode = "conserve";
+  }
+
+  return {
+    day,
+    used: usage.credits,
+    limit: NEWSDATA_DAILY_CREDITS,
+    remaining,
+    mode,
+  };
+}
+
+function newsdataUsageRef(day = quotaDay()) {
+  return db.collection("apiUsage").doc(`newsdata_${day}`);
+}
+
+// Another instance may have held the fetch lease earlier today
+async function loadNewsdataUsage() {
+  try {
+    const day = quotaDay();
+    const doc = await newsdataUsageRef(day).get();
+    const data = doc.exists ? doc.data() : {};
+
+    Object.assign(newsdataUsage, {
+      day,
+      credits: data.credits || 0,
+      exhausted: data.exhausted || false,
+    });
+  } catch (err) {
+    console.error("NewsData usage load error:", err.message);
+  }
+}
+
+async function recordNewsdataCredits(count) {
+  const { day } = newsdataQuota();
+  newsdataUsage.credits += count;
+
+  await newsdataUsageRef(day)
+    .set(
+      {
+        day,
+        credits: admin.firestore.FieldValue.increment(count),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    )
+    .catch((err) => console.error("NewsData usage save error:", err.message));
+}
+
+async function markNewsdataExhausted() {
+  const { day } = newsdataQuota();
+  newsdataUsage.exhausted = true;
+
+  console.error(`NewsData credits exhausted for ${day}`);
+
+  await newsdataUsageRef(day)
+    .set(
+      {
+        day,
+        exhausted: true,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    )
+    .catch((err) => console.error("NewsData usage save error:", err.message));
+}
+
+/* ================= NEWS SOURCES ================= */
+
+/*
+Sources live in the "newsSources" collection so editors can add or
+tune a feed without a deploy. Document shape:
+
+{
+  name: "The Hindu - Sports",
+  type: "newsdata" | "rss",
+  enabled: true,
+  language: "en",
+  pollIntervalMinutes: 45,
+  url: "https://...",            // rss only
+  params: { category: "..." },   // newsdata only, extra query params (never apikey)
+  category: "Sports",            // optional, forces every item into one category
+  categoryMap: { sports: "Sports" },
+  defaultCategory: "India",
+  lastFetchedAt: timestamp
+}
+*/
+
+const DEFAULT_CATEGORY_MAP = {
+  world: "World",
+  business: "Business",
+  sports: "Sports",
+  technology: "Technology",
+  health: "Health",
+};
+
+function defaultNewsSources(lang) {
+  const { newsdata } = languageConfig(lang);
+
+  return [
+    {
+      id: `newsdata_${lang}_india`,
+      name: `NewsData.io India (${lang})`,
+      type: "newsdata",
+      enabled: true,
+      language: lang,
+      pollIntervalMinutes: 45,
+      params: { country: newsdata.country, language: newsdata.language },
+      categoryMap: DEFAULT_CATEGORY_MAP,
+      defaultCategory: "India",
+    },
+    {
+      id: `newsdata_${lang}_sections`,
+      name: `NewsData.io Sections (${lang})`,
+      type: "newsdata",
+      enabled: true,
+      language: lang,
+      pollIntervalMinutes: 45,
+      params: {
+        country: newsdata.country,
+        language: newsdata.language,
+        category: "world,business,sports,technology,health",
+      },
+      categoryMap: DEFAULT_CATEGORY_MAP,
+      defaultCategory: "India",
+    },
+  ];
+}
+
+const rssParser = new Parser({
+  timeout: 15000,
+  customFields: {
+    item: [
+      ["media:content", "mediaContent", { keepArray: true }],
+      ["media:thumbnail", "mediaThumbnail"],
+    ],
+  },
+});
+
+/*
+Every adapter returns items in one shape:
+
+{ title, description, link, source, image, categories: [] }
+*/
+const SOURCE_ADAPTERS = {
+  newsdata: {
+    // Follows nextPage up to maxPages, one credit per page
+    async fetch(source) {
+      const quota = newsdataQuota();
+
+      if (quota.mode === "exhausted") {
+        throw new Error("NewsData daily credits exhausted");
+      }
+
+      const maxPages =
+        quota.mode === "conserve"
+          ? 1
+          : Math.min(Number(source.maxPages) || NEWSDATA_MAX_PAGES, quota.remaining);
+
+      const items = [];
+      let page = null;
+
+      for (let i = 0; i < maxPages; i++) {
+        let response;
+
+        try {
+          response = await callUpstream("newsdata", () =>
+            axios.get("https://newsdata.io/api/1/news", {
+              timeout: 15000,
+              params: {
+                language: source.language,
+                removeduplicate: 1,
+                ...(source.params || {}),
+                ...(page ? { page } : {}),
+                apikey: process.env.NEWSDATA_API_KEY,
+              },
+            })
+          );
+        } catch (err) {
+          if (isQuotaError(err)) await markNewsdataExhausted();
+
+          // Keep the pages we already paid for
+          if (i === 0) throw err;
+
+          console.error(`Source ${source.id} page ${i + 1} error:`, err.message);
+          break;
+        }
+
+        await recordNewsdataCredits(1);
+
+        const results = (response.data.results || []).filter(
+          (item) => !item.duplicate
+        );
+
+        items.push(
+          ...results.map((item) => ({
+            title: item.title,
+            description: item.description,
+            link: item.link,
+            source: item.source_id || "News",
+            image: item.image_url || "",
+            categories: item.category || [],
+          }))
+        );
+
+        page = response.data.nextPage;
+
+        // Results are newest first, so a page with nothing new ends it
+        if (!page || results.every((item) => knownUrls.has(item.link))) break;
+
+        if (newsdataQuota().mode !== "normal") break;
+      }
+
+      return items;
+    },
+  },
+
+  rss: {
+    async fetch(source) {
+      const feed = await callUpstream(`rss:${upstreamHost(source.url)}`, () =>
+        rssParser.parseURL(source.url)
+      );
+
+      return (feed.items || []).map((item) => ({
+        title: item.title?.trim(),
+        description: item.contentSnippet || item.summary || "",
+        link: item.link,
+        source: source.sourceName || feed.title || source.name || "News",
+        image: rssItemImage(item),
+        categories: (item.categories || []).map((c) =>
+          typeof c === "string" ? c : c?._ || ""
+        ),
+      }));
+    },
+  },
+};
+
+function rssItemImage(item) {
+  if (item.enclosure?.url && /^image\//.test(item.enclosure.type || "image/")) {
+    return item.enclosure.url;
+  }
+
+  const media = (item.mediaContent || []).find((m) => m?.$?.url);
+  if (media) return media.$.url;
+
+  return item.mediaThumbnail?.$?.url || "";
+}
+
+function mapSourceCategory(source, categories = []) {
+  if (source.category) return source.category;
+
+  const categoryMap = source.categoryMap || DEFAULT_CATEGORY_MAP;
+
+  for (const raw of categories) {
+    if (!raw) continue;
+
+    const cat = raw.toLowerCase();
+
+    for (const [match, category] of Object.entries(categoryMap)) {
+      if (cat.includes(match.toLowerCase())) return category;
+    }
+  }
+
+  return source.defaultCategory || "India";
+}
+
+const EDITABLE_SOURCE_FIELDS = {
+  name: "string",
+  type: "string",
+  enabled: "boolean",
+  language: "string",
+  pollIntervalMinutes: "number",
+  url: "string",
+  params: "object",
+  category: "string",
+  categoryMap: "object",
+  defaultCategory: "string",
+  sourceName: "string",
+  enrich: "boolean",
+  maxPages: "number",
+  trust: "number",
+  publisherTrust: "object",
+};
+
+// Fields an editor may clear with null
+const OPTIONAL_SOURCE_FIELDS = new Set([
+  "url", "params", "category", "categoryMap", "defaultCategory",
+  "sourceName", "enrich", "maxPages", "trust", "publisherTrust",
+]);
+
+// Written by the server; ignored when a client sends a source back
+const READ_ONLY_SOURCE_FIELDS = new Set(["id", "lastFetchedAt", "lastError"]);
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Changes come back with null for cleared fields
+function parseSourceChanges(body) {
+  const changes = {};
+
+  for (const [field, value] of Object.entries(body || {})) {
+    if (READ_ONLY_SOURCE_FIELDS.has(field)) continue;
+
+    const type = EDITABLE_SOURCE_FIELDS[field];
+
+    if (!type) {
+      return { error: `Field "${field}" cannot be set` };
+    }
+
+    if (value === null) {
+      if (!OPTIONAL_SOURCE_FIELDS.has(field)) {
+        return { error: `Field "${field}" cannot be cleared` };
+      }
+
+      changes[field] = null;
+      continue;
+    }
+
+    if (type === "object" ? !isPlainObject(value) : typeof value !== type) {
+      const expected = type === "object" ? "an object" : `a ${type}`;
+      return { error: `Field "${field}" must be ${expected}` };
+    }
+
+    changes[field] = type === "string" ? value.trim() : value;
+  }
+
+  return { changes };
+}
+
+function validateSourceConfig(config) {
+  if (!SOURCE_ADAPTERS[config.type]) {
+    return `Unknown source type "${config.type}"`;
+  }
+
+  if (!LANGUAGES[config.language]) {
+    return "Invalid language";
+  }
+
+  if (config.type === "rss" && !/^https?:\/\//.test(config.url || "")) {
+    return "RSS sources need a valid url";
+  }
+
+  if (
+    config.pollIntervalMinutes !== undefined &&
+    !(Number(config.pollIntervalMinutes) >= 5)
+  ) {
+    return "pollIntervalMinutes must be at least 5";
+  }
+
+  if (
+    config.params !== undefined &&
+    (!isPlainObject(config.params) ||
+      Object.values(config.params).some(
+        (value) => !["string", "number", "boolean"].includes(typeof value)
+      ))
+  ) {
+    return "params must map NewsData parameters to plain values";
+  }
+
+  // The API key always comes from the environment
+  if (
+    config.params &&
+    Object.keys(config.params).some((key) => key.toLowerCase() === "apikey")
+  ) {
+    return "params cannot set apikey";
+  }
+
+  if (
+    config.maxPages !== undefined &&
+    !(Number.isInteger(config.maxPages) && config.maxPages >= 1)
+  ) {
+    return "maxPages must be a whole number of at least 1";
+  }
+
+  if (
+    config.categoryMap !== undefined &&
+    (!isPlainObject(config.categoryMap) ||
+      Object.values(config.categoryMap).some((c) => typeof c !== "string"))
+  ) {
+    return "categoryMap must map feed categories to category names";
+  }
+
+  if (
+    config.trust !== undefined &&
+    !(Number(config.trust) >= 0 && Number(config.trust) <= 2)
+  ) {
+    return "trust must be between 0 and 2";
+  }
+
+  if (
+    config.publisherTrust !== undefined &&
+    (!isPlainObject(config.publisherTrust) ||
+      Object.values(config.publisherTrust).some(
+        (trust) => !(Number(trust) >= 0 && Number(trust) <= 2)
+      ))
+  ) {
+    return "publisherTrust must map publishers to weights between 0 and 2";
+  }
+
+  return null;
+}
+
+async function loadNewsSources() {
+  const [snapshot, seedDoc] = await Promise.all([
+    db.collection("newsSources").get(),
+    db.collection("config").doc("sourceSeeds").get(),
+  ]);
+
+  const sources = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+  // Collections seeded before seeds were tracked only had en and hi
+  const seeded = seedDoc.exists
+    ? seedDoc.data().languages || []
+    : snapshot.empty
+      ? []
+      : ["en", "hi"];
+
+  const missing = ENABLED_LANGUAGES.filter((lang) => !seeded.includes(lang));
+
+  if (missing.length === 0) return sources;
+
+  // Newly enabled language: seed its built-in NewsData sources once, so
+  // editors can later disable or delete them without them coming back
+  const defaults = missing.flatMap(defaultNewsSources);
+  const batch = db.batch();
+
+  defaults.forEach(({ id, ...config }) => {
+    batch.set(db.collection("newsSources").doc(id), config);
+  });
+
+  batch.set(
+    db.collection("config").doc("sourceSeeds"),
+    { languages: [...seeded, ...missing] },
+    { merge: true }
+  );
+
+  await batch.commit();
+
+  console.log(`Seeded ${defaults.length} default news sources for ${missing.join(", ")}`);
+
+  return [...sources, ...defaults];
+}
+
+function isSourceDue(source, now = Date.now()) {
+  if (source.enabled === false) return false;
+
+  const last = source.lastFetchedAt?.toMillis?.() || 0;
+  let interval = Number(source.pollIntervalMinutes) || 45;
+
+  if (source.type === "newsdata") {
+    const { mode } = newsdataQuota();
+
+    if (mode === "exhausted") return false;
+
+    // Poll less often as the day's credits run low
+    if (mode === "conserve") interval *= QUOTA_CONSERVE_FACTOR;
+  }
+
+  // One minute of slack so a 45 min source isn't pushed to the next tick
+  return now - last >= (interval - 1) * 60 * 1000;
+}
+
+async function fetchSourceItems(source, run) {
+  try {
+    const items = await SOURCE_ADAPTERS[source.type].fetch(source);
+
+    if (run) countIngest(run, source, "fetched", items.length);
+
+    await db.collection("newsSources").doc(source.id).update({
+      lastFetchedAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastError: null,
+    });
+
+    return items;
+  } catch (err) {
+    console.error(`Source ${source.id} fetch error:`, err.message);
+
+    if (run) recordIngestError(run, source.language, source.id, err);
+
+    await db
+      .collection("newsSources")
+      .doc(source.id)
+      .update({ lastError: err.message })
+      .catch(() => {});
+
+    return [];
+  }
+}
+
+/* ================= BREAKING CLASSIFIER ================= */
+
+/*
+An article is breaking when its score reaches BREAKING_THRESHOLD
+(default 0.6). The score adds up whole-word keyword hits from the
+language registry and the number of other publishers that reported the
+same story cluster in the last BREAKING_WINDOW_MINUTES, then scales by
+how much the source is trusted (source.trust, or
+source.publisherTrust[publisher], default 1).
+
+With BREAKING_DRY_RUN=1 articles are still flagged but no push goes
+out; the decision is logged instead.
+*/
+
+const BREAKING_THRESHOLD = Number(process.env.BREAKING_THRESHOLD) || 0.6;
+const BREAKING_DRY_RUN = process.env.BREAKING_DRY_RUN === "1";
+const BREAKING_WINDOW_MS =
+  (Number(process.env.BREAKING_WINDOW_MINUTES) || 30) * 60 * 1000;
+
+const BREAKING_WEIGHTS = {
+  strong: 0.6,
+  alert: 0.25,
+  maxAlerts: 2,
+  muted: -0.5,
+  perSource: 0.15,
+  maxSources: 3,
+};
+
+function breakingTokens(text) {
+  return (
+    String(text || "")
+      .normalize("NFKC")
+      .toLowerCase()
+      .match(/[\p{L}\p{M}\p{N}]+/gu) || []
+  );
+}
+
+const breakingPhraseCache = new Map();
+
+function breakingPhrases(language) {
+  const code = LANGUAGES[language] ? language : "en";
+
+  if (!breakingPhraseCache.has(code)) {
+    const { strong = [], alert = [], muted = [] } =
+      LANGUAGES[code].breaking || {};
+    const tokenize = (list) => list.map(breakingTokens);
+
+    breakingPhraseCache.set(code, {
+      strong: tokenize(strong),
+      alert: tokenize(alert),
+      muted: tokenize(muted),
+    });
+  }
+
+  return breakingPhraseCache.get(code);
+}
+
+// Phrase match on whole tokens, so "live" never matches "Oliver"
+function hasPhrase(tokens, phrase) {
+  if (phrase.length === 0) return false;
+
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((word, j) => tokens[i + j] === word)) return true;
+  }
+
+  return false;
+}
+
+function sourceTrust(source, publisher) {
+  const trust =
+    source?.publisherTrust?.[publisher] ?? source?.trust ?? 1;
+
+  return Number.isFinite(Number(trust)) ? Number(trust) : 1;
+}
+
+// Other publishers already in the story index for this cluster
+function corroboratingSources(clusterId, publisher, now = Date.now()) {
+  const publishers = new Set();
+
+  for (const entry of storyIndex) {
+    if (
+      entry.clusterId === clusterId &&
+      entry.source &&
+      entry.source !== publisher &&
+      now - entry.time <= BREAKING_WINDOW_MS
+    ) {
+      publishers.add(entry.source);
+    }
+  }
+
+  return publishers.size;
+}
+
+/*
+Pure scoring: pass corroboration (count of other publishers) and trust
+explicitly. Returns { score, breaking, signals } where signals lists
+what contributed, for logs.
+*/
+function scoreBreaking({ title, language, corroboration = 0, trust = 1 }) {
+  const tokens = breakingTokens(title);
+  const phrases = breakingPhrases(language);
+  const signals = [];
+  let score = 0;
+
+  if (phrases.strong.some((phrase) => hasPhrase(tokens, phrase))) {
+    score += BREAKING_WEIGHTS.strong;
+    signals.push("keyword");
+  }
+
+  const alerts = phrases.alert.filter((phrase) => hasPhrase(tokens, phrase));
+  if (alerts.length > 0) {
+    score +=
+      BREAKING_WEIGHTS.alert *
+      Math.min(alerts.length, BREAKING_WEIGHTS.maxAlerts);
+    signals.push(`alert:${alerts.map((words) => words.join(" ")).join(",")}`);
+  }
+
+  if (phrases.muted.some((phrase) => hasPhrase(tokens, phrase))) {
+    score += BREAKING_WEIGHTS.muted;
+    signals.push("muted");
+  }
+
+  if (corroboration > 0) {
+    score +=
+      BREAKING_WEIGHTS.perSource *
+      Math.min(corroboration, BREAKING_WEIGHTS.maxSources);
+    signals.push(`sources:${corroboration}`);
+  }
+
+  score = Math.max(0, score) * trust;
+
+  if (trust !== 1) signals.push(`trust:${trust}`);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    breaking: score >= BREAKING_THRESHOLD,
+    signals,
+  };
+}
+
+function classifyBreaking(item, source, language, clusterId) {
+  return scoreBreaking({
+    title: item.title,
+    language,
+    corroboration: corroboratingSources(clusterId, item.source),
+    trust: sourceTrust(source, item.source),
+  });
+}
+
+/* ================= STORY CLUSTERING ================= */
+
+const CLUSTER_WINDOW_MS = 48 * 60 * 60 * 1000; // 48 hours
+const CLUSTER_SIMILARITY =
+  parseFloat(process.env.STORY_SIMILARITY_THRESHOLD) || 0.5;
+
+function pruneStoryIndex(now = Date.now()) {
+  while (storyIndex.length && now - storyIndex[0].time > CLUSTER_WINDOW_MS) {
+    storyIndex.shift();
+  }
+}
+
+function findStoryCluster(language, fingerprint) {
+  pruneStoryIndex();
+
+  let best = null;
+  let bestScore = CLUSTER_SIMILARITY;
+
+  for (const entry of storyIndex) {
+    if (entry.language !== language) continue;
+
+    const score = storySimilarity(fingerprint, entry);
+
+    if (score >= bestScore) {
+      best = entry;
+      bestScore = score;
+    }
+  }
+
+  return best ? best.clusterId : null;
+}
+
+function addToStoryIndex(entry) {
+  storyIndex.push({ time: Date.now(), ...entry });
+}
+
+function removeFromStoryIndex(id) {
+  const index = storyIndex.findIndex((entry) => entry.id === id);
+  if (index !== -1) storyIndex.splice(index, 1);
+}
+
+async function recordClusterMember(clusterId, articleId, article, isNew) {
+  const data = {
+    language: article.language,
+    articleIds: admin.firestore.FieldValue.arrayUnion(articleId),
+    sources: admin.firestore.FieldValue.arrayUnion(article.source),
+    size: admin.firestore.FieldValue.increment(1),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  if (isNew) {
+    data.primaryId = articleId;
+    data.createdAt = admin.firestore.FieldValue.serverTimestamp();
+  }
+
+  await db
+    .collection("storyClusters")
+    .doc(clusterId)
+    .set(data, { merge: true });
+}
+
+// Only the first breaking article of a cluster gets a push
+async function claimClusterPush(clusterId) {
+  const ref = db.collection("storyClusters").doc(clusterId);
+
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+
+    if (doc.exists && doc.data().pushed) return false;
+
+    tx.set(
+      ref,
+      {
+        pushed: true,
+        pushedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+
+    return true;
+  });
+}
+
+/*
+Collapse articles sharing a clusterId into the first one seen (the
+caller's ordering decides which is primary). Other members are listed
+under alsoCoveredBy.
+*/
+function collapseClusters(articles, maxGroups = Infinity) {
+  const groups = [];
+  const byCluster = new Map();
+  let consumed = 0;
+
+  for (const article of articles) {
+    const primary = article.clusterId && byCluster.get(article.clusterId);
+
+    if (primary) {
+      primary.alsoCoveredBy.push({
+        id: article.id,
+        title: article.title,
+        source: article.source,
+        sourceUrl: article.sourceUrl,
+      });
+    } else {
+      if (groups.length >= maxGroups) break;
+
+      const group = { ...article, alsoCoveredBy: [] };
+      groups.push(group);
+
+      if (article.clusterId) {
+        byCluster.set(article.clusterId, group);
+      }
+    }
+
+    consumed++;
+  }
+
+  return { groups, consumed };
+}
+
+/* ================= RETENTION ================= */
+
+/*
+Policy lives in config/retention and is merged over these defaults:
+
+{
+  defaultDays: 7,
+  categoryDays: { Business: 14 },
+  pinnedExempt: true,
+  engagement: { minViews, minLikes, minBookmarks, days },
+  archive: true
+}
+
+Expired articles are copied to "newsArchive" (compact, keyed by the
+same id) and then removed from "news".
+*/
+
+const DEFAULT_RETENTION_POLICY = {
+  defaultDays: 7,
+  categoryDays: {},
+  pinnedExempt: true,
+  engagement: {
+    minViews: 500,
+    minLikes: 50,
+    minBookmarks: 5,
+    days: 30,
+  },
+  archive: true,
+};
+
+const RETENTION_PAGE_SIZE = 250; // two writes per article per batch
+const RETENTION_MAX_PAGES = 200;
+
+const ARCHIVE_FIELDS = [
+  "title",
+  "summary",
+  "category",
+  "language",
+  "source",
+  "sourceUrl",
+  "image",
+  "breaking",
+  "likes",
+  "views",
+  "timestamp",
+  // Kept so a takedown stays down once the article is archived
+  "hidden",
+];
+
+async function loadRetentionPolicy() {
+  const doc = await db.collection("config").doc("retention").get();
+  const stored = doc.exists ? doc.data() : {};
+
+  return {
+    ...DEFAULT_RETENTION_POLICY,
+    ...stored,
+    categoryDays: {
+      ...DEFAULT_RETENTION_POLICY.categoryDays,
+      ...(stored.categoryDays || {}),
+    },
+    engagement: {
+      ...DEFAULT_RETENTION_POLICY.engagement,
+      ...(stored.engagement || {}),
+    },
+  };
+}
+
+function validateRetentionPolicy(policy) {
+  const isDays = (n) => Number.isFinite(n) && n >= 1 && n <= 3650;
+
+  if (!isDays(policy.defaultDays)) {
+    return "defaultDays must be between 1 and 3650";
+  }
+
+  if (!Object.values(policy.categoryDays || {}).every(isDays)) {
+    return "categoryDays values must be between 1 and 3650";
+  }
+
+  if (!isDays(policy.engagement?.days)) {
+    return "engagement.days must be between 1 and 3650";
+  }
+
+  return null;
+}
+
+function retentionDays(article, policy) {
+  if (policy.pinnedExempt && article.pinned) return Infinity;
+
+  const base = policy.categoryDays[article.category] ?? policy.defaultDays;
+  const { minViews, minLikes, minBookmarks, days } = policy.engagement;
+
+  const engaged =
+    (article.views || 0) >= minViews ||
+    (article.likes || 0) >= minLikes ||
+    (article.bookmarks || 0) >= minBookmarks;
+
+  return engaged ? Math.max(base, days) : base;
+}
+
+function archivedArticle(data) {
+  const archived = {};
+
+  ARCHIVE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) archived[field] = data[field];
+  });
+
+  const published = data.timestamp?.toDate?.() || new Date();
+
+  return {
+    ...archived,
+    day: localClock(DEFAULT_PUSH_PREFERENCES.timezone, published).day,
+    archivedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+async function runRetention() {
+  console.log("Running runRetention()");
+
+  try {
+    const policy = await loadRetentionPolicy();
+
+    // Nothing younger than the shortest retention can expire
+    const minDays = Math.min(
+      policy.defaultDays,
+      ...Object.values(policy.categoryDays)
+    );
+    const cutoff = new Date(Date.now() - minDays * 24 * 60 * 60 * 1000);
+
+    let lastDoc = null;
+    let expired = 0;
+    let kept = 0;
+
+    for (let page = 0; page < RETENTION_MAX_PAGES; page++) {
+      let query = db
+        .collection("news")
+        .where("timestamp", "<", cutoff)
+        .orderBy("timestamp", "asc")
+        .limit(RETENTION_PAGE_SIZE);
+
+      if (lastDoc) query = query.startAfter(lastDoc);
+
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
+
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+      const batch = db.batch();
+      const removed = [];
+      let writes = 0;
+
+      snapshot.docs.forEach((doc) => {
+        const data = doc.data();
+        const ageDays =
+          (Date.now() - (data.timestamp?.toMillis?.() || 0)) / 86400000;
+
+        if (ageDays < retentionDays(data, policy)) {
+          kept++;
+          return;
+        }
+
+        if (policy.archive) {
+          batch.set(
+            db.collection("newsArchive").doc(doc.id),
+            archivedArticle(data)
+          );
+        }
+
+        batch.delete(doc.ref);
+        writes++;
+
+        if (!data.hidden) removed.push(data);
+
+        if (data.sourceUrl) {
+          forgetUrl(data.sourceUrl);
+        }
+      });
+
+      if (writes > 0) {
+        await batch.commit();
+        expired += writes;
+
+        await forgetSuggestions(removed).catch((err) =>
+          console.error("Suggestion update error:", err.message)
+        );
+      }
+
+      if (snapshot.size < RETENTION_PAGE_SIZE) break;
+    }
+
+    if (expired > 0) await invalidateNewsCaches();
+
+    console.log(
+      `Retention ${policy.archive ? "archived" : "deleted"} ${expired} articles, kept ${kept} past the base window`
+    );
+  } catch (err) {
+    console.error("Retention error:", err.message);
+  }
+}
+
+/* ================= LOAD RECENT URL CACHE ================= */
+
+async function loadKnownUrls() {
+  try {
+    knownUrls.clear();
+
+    const snapshot = await db
+  .collection("news")
+  .orderBy("timestamp", "desc")
+  .limit(300)
+  .select("sourceUrl")
+  .get();
+
+    snapshot.forEach((doc) => {
+      const url = doc.data().sourceUrl;
+
+      if (url) {
+        knownUrls.add(url);
+      }
+    });
+
+    console.log(
+  `Loaded ${knownUrls.size} URLs into RAM at ${new Date().toISOString()}`
+);
+
+  } catch (err) {
+    console.error(
+      "URL cache load failed:",
+      err.message
+    );
+  }
+}
+
+/* ================= LOAD STORY INDEX ================= */
+
+// Overlap between top-ups, for writes committed while a query ran
+const STORY_INDEX_OVERLAP_MS = 5 * 60 * 1000;
+
+let storyIndexSyncedAt = 0;
+
+function storyIndexQuery(since) {
+  return db
+    .collection("news")
+    .where("timestamp", ">", since)
+    .orderBy("timestamp", "asc")
+    .select("title", "summary", "language", "clusterId", "source", "timestamp");
+}
+
+function storyIndexEntry(doc) {
+  const data = doc.data();
+
+  return {
+    id: doc.id,
+    language: data.language,
+    clusterId: data.clusterId || doc.id,
+    source: data.source,
+    time: data.timestamp?.toMillis?.() || Date.now(),
+    ...storyFingerprint(data.title, data.summary),
+  };
+}
+
+async function loadStoryIndex() {
+  try {
+    const startedAt = Date.now();
+    const snapshot = await storyIndexQuery(
+      new Date(startedAt - CLUSTER_WINDOW_MS)
+    ).get();
+
+    storyIndex.length = 0;
+    snapshot.forEach((doc) => storyIndex.push(storyIndexEntry(doc)));
+    storyIndexSyncedAt = startedAt;
+
+    console.log(`Loaded ${storyIndex.length} recent stories for clustering`);
+  } catch (err) {
+    console.error("Story index load failed:", err.message);
+  }
+}
+
+// The fetch lease moves between instances, so pick up what the others
+// ingested since this one last looked
+async function refreshStoryIndex() {
+  if (!storyIndexSyncedAt) return loadStoryIndex();
+
+  try {
+    const startedAt = Date.now();
+    const snapshot = await storyIndexQuery(
+      new Date(storyIndexSyncedAt - STORY_INDEX_OVERLAP_MS)
+    ).get();
+
+    const known = new Set(storyIndex.map((entry) => entry.id));
+    let added = 0;
+
+    snapshot.forEach((doc) => {
+      if (known.has(doc.id)) return;
+
+      storyIndex.push(storyIndexEntry(doc));
+      added++;
+    });
+
+    // pruneStoryIndex drops from the front, so keep it in time order
+    if (added > 0) storyIndex.sort((a, b) => a.time - b.time);
+
+    storyIndexSyncedAt = startedAt;
+  } catch (err) {
+    console.error("Story index refresh failed:", err.message);
+  }
+}
+
+/* ================= LOAD FCM TOKENS ================= */
+
+async function loadFcmTokens() {
+  try {
+
+    fcmTokenCache.clear();
+    tokenSegments.clear();
+    tokenPrefs.clear();
+    tokenPushCounts.clear();
+
+    const snapshot = await db
+      .collection("fcmTokens")
+      .get();
+
+    snapshot.forEach((doc) => {
+
+      const data = doc.data();
+
+      if (data.preferences) {
+        tokenPrefs.set(data.token, data.preferences);
+      }
+
+      const seen = data.lastSeenAt || data.createdAt;
+      if (seen?.toMillis) {
+        tokenSeenAt.set(data.token, seen.toMillis());
+      }
+
+      if (data.pushDay) {
+        tokenPushCounts.set(data.token, {
+          day: data.pushDay,
+          count: data.pushCount || 0,
+        });
+      }
+
+      addTokenToCache(data.token, data.language, data.interests || []);
+
+    });
+
+    console.log(
+      `Loaded ${snapshot.size} FCM tokens into RAM`
+    );
+
+  } catch (err) {
+
+    console.error(
+      "FCM cache load failed:",
+      err.message
+    );
+
+  }
+}
+
+/* ================= INGEST RUNS ================= */
+
+/*
+Every fetchNews run is recorded in "ingestRuns":
+
+{
+  trigger: "cron" | "admin", requestedBy, instance,
+  languages: ["en", "hi"], force,
+  status: "running" | "completed" | "failed",
+  startedAt, finishedAt, durationMs,
+  totals:     { fetched, inserted, duplicate, invalid, emptySummary, errors },
+  byLanguage: { en: { sources, ...counts } },
+  sources:    { [sourceId]: { language, ...counts } },
+  errors: [{ language, sourceId, message }]   // first MAX_RUN_ERRORS
+}
+
+"invalid" items had no title or link, "duplicate" ones were already
+known, and "emptySummary" ones had no usable text even after
+enrichment.
+*/
+
+const MAX_RUN_ERRORS = 50;
+
+function emptyIngestCounts() {
+  return {
+    fetched: 0,
+    inserted: 0,
+    duplicate: 0,
+    invalid: 0,
+    emptySummary: 0,
+    errors: 0,
+  };
+}
+
+function createIngestRun({ trigger, requestedBy = null, languages, force }) {
+  return {
+    ref: db.collection("ingestRuns").doc(),
+    started: Date.now(),
+    data: {
+      trigger,
+      requestedBy,
+      instance: INSTANCE_ID,
+      languages,
+      force,
+      status: "running",
+      startedAt: new Date(),
+      finishedAt: null,
+      durationMs: null,
+      totals: emptyIngestCounts(),
+      byLanguage: Object.fromEntries(
+        languages.map((lang) => [lang, { sources: 0, ...emptyIngestCounts() }])
+      ),
+      sources: {},
+      errors: [],
+    },
+  };
+}
+
+function countIngest(run, source, key, amount = 1) {
+  const { data } = run;
+
+  if (!data.sources[source.id]) {
+    data.sources[source.id] = {
+      language: source.language,
+      ...emptyIngestCounts(),
+    };
+  }
+
+  data.sources[source.id][key] += amount;
+  data.byLanguage[source.language][key] += amount;
+  data.totals[key] += amount;
+}
+
+function recordIngestError(run, language, sourceId, err) {
+  const { data } = run;
+
+  if (sourceId) {
+    countIngest(run, { id: sourceId, language }, "errors");
+  } else {
+    data.byLanguage[language].errors++;
+    data.totals.errors++;
+  }
+
+  if (data.errors.length < MAX_RUN_ERRORS) {
+    data.errors.push({ language, sourceId, message: err.message });
+  }
+}
+
+async function saveIngestRun(run) {
+  await run.ref
+    .set(run.data)
+    .catch((err) => console.error("Ingest run save error:", err.message));
+}
+
+/* ================= ARTICLE IDS ================= */
+
+/*
+Ingested articles are keyed by a hash of their canonical sourceUrl, so
+the same story URL can only ever be stored once. Canonicalizing drops
+tracking parameters, the fragment, "www.", default ports and trailing
+slashes, lowercases the host, treats http as https and sorts the
+remaining query parameters.
+*/
+
+const TRACKING_PARAMS = new Set([
+  "fbclid", "gclid", "dclid", "msclkid", "igshid", "mc_cid", "mc_eid",
+  "ref", "ref_src", "ref_url", "cmpid", "ito", "ns_mchannel", "ns_source",
+  "ns_campaign", "ns_linkname", "ns_fee", "amp", "__twitter_impression",
+]);
+
+function canonicalizeUrl(url) {
+  let parsed;
+
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (err) {
+    return String(url).trim();
+  }
+
+  parsed.protocol = "https:";
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  parsed.hash = "";
+
+  if (parsed.port === "80" || parsed.port === "443") parsed.port = "";
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(
+      ([key]) =>
+        !key.toLowerCase().startsWith("utm_") &&
+        !TRACKING_PARAMS.has(key.toLowerCase())
+    )
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  parsed.search = new URLSearchParams(params).toString();
+  parsed.pathname = parsed.pathname.replace(/\/+$/, "") || "/";
+
+  return parsed.toString().replace(/\/$/, "");
+}
+
+function articleIdForUrl(url) {
+  return crypto
+    .createHash("sha256")
+    .update(canonicalizeUrl(url))
+    .digest("hex")
+    .slice(0, 32);
+}
+
+const SOURCE_URL_IN_LIMIT = 30; // Firestore's cap on "in" values
+
+/*
+Returns the candidate links that are already stored: live or archived
+under their URL-hash id, tombstoned by an editor's delete (see
+"articleTombstones"), or saved under an auto id from before ids were
+URL hashes, which only a sourceUrl lookup can find.
+*/
+async function findStoredUrls(candidates) {
+  const ids = candidates.map((c) => c.docRef.id);
+  const collections = ["news", "newsArchive", "articleTombstones"];
+
+  const docs = await db.getAll(
+    ...collections.flatMap((name) =>
+      ids.map((id) => db.collection(name).doc(id))
+    ),
+    { fieldMask: ["sourceUrl"] }
+  );
+
+  const stored = new Set();
+
+  candidates.forEach((c, i) => {
+    if (collections.some((name, k) => docs[k * ids.length + i].exists)) {
+      stored.add(c.item.link);
+    }
+  });
+
+  const unmatched = candidates
+    .map((c) => c.item.link)
+    .filter((link) => !stored.has(link));
+
+  for (let i = 0; i < unmatched.length; i += SOURCE_URL_IN_LIMIT) {
+    const chunk = unmatched.slice(i, i + SOURCE_URL_IN_LIMIT);
+
+    const snapshots = await Promise.all(
+      ["news", "newsArchive"].map((name) =>
+        db
+          .collection(name)
+          .where("sourceUrl", "in", chunk)
+          .select("sourceUrl")
+          .get()
+      )
+    );
+
+    snapshots.forEach((snapshot) =>
+      snapshot.forEach((doc) => stored.add(doc.data().sourceUrl))
+    );
+  }
+
+  return stored;
+}
+
+const GRPC_ALREADY_EXISTS = 6;
+
+/*
+Create-if-absent for many articles at once. Resolves to one outcome
+per entry: "created", "exists", or the Error that stopped the write.
+*/
+async function createArticles(entries) {
+  if (entries.length === 0) return [];
+
+  const writer = db.bulkWriter();
+
+  writer.onWriteError(
+    (err) => err.code !== GRPC_ALREADY_EXISTS && err.failedAttempts < 3
+  );
+
+  const outcomes = entries.map(({ ref, data }) =>
+    writer.create(ref, data).then(
+      () => "created",
+      (err) => (err.code === GRPC_ALREADY_EXISTS ? "exists" : err)
+    )
+  );
+
+  await writer.close();
+
+  return Promise.all(outcomes);
+}
+
+/* ================= FETCH NEWS ================= */
+
+async function fetchNewsByLanguage(lang, run, { force = false } = {}) {
+  let inserted = 0;
+
+  try {
+    const sources = (await loadNewsSources()).filter(
+      (source) =>
+        source.language === lang &&
+        SOURCE_ADAPTERS[source.type] &&
+        (force ? source.enabled !== false : isSourceDue(source))
+    );
+
+    run.data.byLanguage[lang].sources = sources.length;
+
+    if (sources.length === 0) return 0;
+
+    const results = await Promise.all(
+      sources.map((source) => fetchSourceItems(source, run))
+    );
+
+    // Article ids already claimed by an earlier source in this run
+    const claimedIds = new Set();
+
+    for (const [i, items] of results.entries()) {
+      const source = sources[i];
+      const candidates = [];
+
+      for (const item of items) {
+        if (!item.title || !item.link) {
+          countIngest(run, source, "invalid");
+          continue;
+        }
+
+        const docRef = db.collection("news").doc(articleIdForUrl(item.link));
+
+        if (knownUrls.has(item.link) || claimedIds.has(docRef.id)) {
+          countIngest(run, source, "duplicate");
+          continue;
+        }
+
+        claimedIds.add(docRef.id);
+        candidates.push({ item, docRef });
+      }
+
+      if (candidates.length === 0) continue;
+
+      // Skip stored articles before enriching or classifying
+      const stored = await findStoredUrls(candidates);
+
+      const pending = [];
+
+      for (const { item, docRef } of candidates) {
+        if (stored.has(item.link)) {
+          knownUrls.add(item.link);
+          countIngest(run, source, "duplicate");
+          continue;
+        }
+
+        let summary = cleanAndTrimSummary(item.description, lang);
+        let image = item.image || "";
+        let page = null;
+
+        if ((!summary || !image) && shouldEnrich(source)) {
+          page = await enrichFromPage(item.link);
+
+          if (page) {
+            summary = summary || cleanAndTrimSummary(page.text, lang);
+            image = image || page.image;
+          }
+        }
+
+        if (!summary) {
+          // Fetched but still no text: don't fetch it again next poll
+          if (page) await markEnrichFailed(item.link);
+
+          countIngest(run, source, "emptySummary");
+          continue;
+        }
+
+        const category = mapSourceCategory(source, item.categories);
+
+        const fingerprint = storyFingerprint(item.title, summary);
+        const existingCluster = findStoryCluster(lang, fingerprint);
+        const clusterId = existingCluster || docRef.id;
+
+        const verdict = classifyBreaking(item, source, lang, clusterId);
+
+        const article = {
+          title: item.title,
+          summary,
+          category,
+          language: lang,
+          source: item.source,
+          sourceId: source.id,
+          sourceUrl: item.link,
+          image,
+          author: page?.author || null,
+          publishedAt: page?.publishedAt || null,
+          breaking: verdict.breaking,
+          breakingScore: verdict.score,
+          clusterId,
+          likes: 0,
+          views: 0,
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        };
+
+        // Indexed now so later items in this batch can join the cluster;
+        // taken out again if the write doesn't go through
+        addToStoryIndex({
+          id: docRef.id,
+          language: lang,
+          clusterId,
+          source: item.source,
+          ...fingerprint,
+        });
+
+        pending.push({ docRef, article, verdict, isNewCluster: !existingCluster });
+      }
+
+      const outcomes = await createArticles(
+        pending.map(({ docRef, article }) => ({
+          ref: docRef,
+          data: { ...article, ...buildSearchIndex(article) },
+        }))
+      );
+
+      for (const [j, outcome] of outcomes.entries()) {
+        const { docRef, article, verdict, isNewCluster } = pending[j];
+
+        if (outcome !== "created") {
+          removeFromStoryIndex(docRef.id);
+
+          if (outcome === "exists") {
+            knownUrls.add(article.sourceUrl);
+            countIngest(run, source, "duplicate");
+          } else {
+            console.error(`Insert ${docRef.id} error:`, outcome.message);
+            recordIngestError(run, lang, source.id, outcome);
+          }
+
+          continue;
+        }
+
+        rememberUrl(article.sourceUrl);
+        inserted++;
+        countIngest(run, source, "inserted");
+
+        await recordSuggestions(article).catch((err) =>
+          console.error("Suggestion update error:", err.message)
+        );
+
+        await recordClusterMember(
+          article.clusterId,
+          docRef.id,
+          article,
+          isNewCluster
+        ).catch((err) =>
+          console.error("Cluster update error:", err.message)
+        );
+
+        if (verdict.breaking && BREAKING_DRY_RUN) {
+          console.log(
+            `[dry-run] Would push breaking ${docRef.id} (cluster ${article.clusterId}, score ${verdict.score}, ${verdict.signals.join(" ")}): ${article.title}`
+          );
+        } else if (
+          verdict.breaking &&
+          (await claimClusterPush(article.clusterId))
+        ) {
+          await sendBreakingPush(
+            {
+              title: article.title,
+              category: article.category,
+              language: lang,
+            },
+            docRef.id
+          );
+        }
+      }
+    }
+  } catch (err) {
+    console.error("Fetch error:", err.message);
+    recordIngestError(run, lang, null, err);
+  }
+
+  return inserted;
+}
+
+async function fetchNews({
+  languages = ENABLED_LANGUAGES,
+  trigger = "cron",
+  requestedBy = null,
+  force = false,
+  run = createIngestRun({ trigger, requestedBy, languages, force }),
+} = {}) {
+  let inserted = 0;
+
+  await saveIngestRun(run);
+  await loadNewsdataUsage();
+  await refreshStoryIndex();
+
+  try {
+    for (const lang of languages) {
+      inserted += await fetchNewsByLanguage(lang, run, { force });
+    }
+
+    run.data.status = "completed";
+  } catch (err) {
+    console.error("Fetch run error:", err.message);
+    run.data.status = "failed";
+    run.data.errors.push({ language: null, sourceId: null, message: err.message });
+  }
+
+  // Clear feed and trending caches after fresh news
+  if (inserted > 0) await invalidateNewsCaches();
+
+  run.data.finishedAt = new Date();
+  run.data.durationMs = Date.now() - run.started;
+  run.data.newsdataQuota = newsdataQuota();
+
+  await saveIngestRun(run);
+
+  return run;
+}
+
+
+function articleHoursOld(article) {
+  return article.timestamp
+    ? (Date.now() - article.timestamp.toDate().getTime()) / 3600000
+    : 100;
+}
+
+function trendingScore(article) {
+  const baseScore =
+    (article.views || 0) * 2 +
+    (article.likes || 0) * 3 +
+    (article.breaking ? 15 : 0);
+
+  const timeFactor = 1 / (1 + articleHoursOld(article));
+
+  return baseScore * timeFactor;
+}
+
+app.get("/news/trending", async (req, res) => {
+  try {
+    const language = req.query.language || "en";
+
+    // Cache valid for 5 minutes
+    const cached = await trendingCache.get(language);
+
+    if (cached) {
+      return res.json(await withLikedByMe(cached, req.query.deviceId));
+    }
+
+    const snapshot = await db
+      .collection("news")
+      .where("language", "==", language)
+      .orderBy("timestamp", "desc")
+      .limit(50)
+      .get();
+
+    const articles = snapshot.docs
+      .map(articleFromDoc)
+      .filter((a) => !a.hidden);
+
+    const scored = articles.map((a) => ({
+      ...a,
+      score: trendingScore(a),
+    }));
+
+    scored.sort((a, b) => b.score - a.score);
+
+    const result = collapseClusters(scored, 20).groups;
+
+    await trendingCache.set(language, result);
+
+    res.json(await withLikedByMe(result, req.query.deviceId));
+  } catch (err) {
+    console.error("Trending failed:", err.message);
+    res.status(500).json({ error: "Trending failed" });
+  }
+});
+
+/* ================= FOR YOU ================= */
+
+const FOR_YOU_CACHE_TIME = 5 * 60 * 1000; // 5 minutes
+const FOR_YOU_CANDIDATES = 150;
+
+async function loadDeviceProfile(deviceId) {
+  const [tokenSnap, likedSnap, legacyLikedSnap, viewSnap] = await Promise.all([
+    db.collection("fcmTokens")
+      .where("deviceId", "==", deviceId)
+      .limit(1)
+      .get(),
+    db.collectionGroup("likes")
+      .where("deviceId", "==", deviceId)
+      .orderBy("likedAt", "desc")
+      .limit(50)
+      .get(),
+    // Likes from before the likes subcollection
+    db.collection("news")
+      .where("likedBy", "array-contains", deviceId)
+      .select("category", "clusterId")
+      .limit(50)
+      .get(),
+    db.collection("devices")
+      .doc(deviceId)
+      .collection("views")
+      .orderBy("viewedAt", "desc")
+      .limit(100)
+      .get(),
+  ]);
+
+  const registration = tokenSnap.empty ? {} : tokenSnap.docs[0].data();
+
+  const likedDocs = likedSnap.empty
+    ? []
+    : await db.getAll(
+        ...likedSnap.docs.map((doc) => doc.ref.parent.parent),
+        { fieldMask: ["category", "clusterId"] }
+      );
+
+  const affinity = {};
+  const seen = new Set();
+
+  const liked = new Set();
+
+  [...likedDocs, ...legacyLikedSnap.docs].forEach((doc) => {
+    if (!doc.exists || liked.has(doc.id)) return;
+
+    liked.add(doc.id);
+
+    const { category, clusterId } = doc.data();
+    affinity[category] = (affinity[category] || 0) + 2;
+    seen.add(doc.id);
+    if (clusterId) seen.add(clusterId);
+  });
+
+  viewSnap.forEach((doc) => {
+    const { category, clusterId } = doc.data();
+    if (category) affinity[category] = (affinity[category] || 0) + 1;
+    seen.add(doc.id);
+    if (clusterId) seen.add(clusterId);
+  });
+
+  return {
+    language: registration.language,
+    interests: registration.interests || [],
+    affinity,
+    seen,
+  };
+}
+
+function forYouScore(article, profile, maxAffinity) {
+  const interest = profile.interests.includes(article.category) ? 3 : 0;
+
+  const affinity = maxAffinity
+    ? ((profile.affinity[article.category] || 0) / maxAffinity) * 3
+    : 0;
+
+  const recency = 4 / (1 + articleHoursOld(article) / 6);
+  const trending = Math.log1p(trendingScore(article));
+
+  const score = interest + affinity + recency + trending;
+
+  // Already seen stories sink rather than disappear
+  const seen =
+    profile.seen.has(article.id) ||
+    (article.clusterId && profile.seen.has(article.clusterId));
+
+  return seen ? score * 0.2 : score;
+}
+
+async function rankForYou(deviceId, language) {
+  const profile = await loadDeviceProfile(deviceId);
+  const lang = language || profile.language || "en";
+
+  const snapshot = await db
+    .collection("news")
+    .where("language", "==", lang)
+    .orderBy("timestamp", "desc")
+    .limit(FOR_YOU_CANDIDATES)
+    .get();
+
+  const { groups } = collapseClusters(
+    snapshot.docs
+      .map(articleFromDoc)
+      .filter((a) => !a.hidden)
+  );
+
+  const maxAffinity = Math.max(0, ...Object.values(profile.affinity));
+
+  return groups
+    .map((a) => ({ article: a, score: forYouScore(a, profile, maxAffinity) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ article }) => article);
+}
+
+app.get("/news/for-you", async (req, res) => {
+  try {
+    const deviceId = String(req.query.deviceId || "");
+    const language = req.query.language;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const offset = Math.max(parseInt(req.query.cursor) || 0, 0);
+
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: "deviceId is required",
+      });
+    }
+
+    const cacheKey = `${deviceId}_${language || "default"}`;
+    let cached = offset === 0 ? undefined : await forYouCache.get(cacheKey);
+
+    // Rank once per device and serve later pages from the same ranking
+    if (!cached) {
+      cached = {
+        articles: await rankForYou(deviceId, language),
+      };
+
+      await forYouCache.set(cacheKey, cached, FOR_YOU_CACHE_TIME);
+    }
+
+    const page = cached.articles.slice(offset, offset + limit);
+    const nextOffset = offset + page.length;
+
+    res.json({
+      articles: await withLikedByMe(page, deviceId),
+      nextCursor: nextOffset < cached.articles.length ? String(nextOffset) : null,
+    });
+  } catch (err) {
+    console.error("For You feed error:", err.message);
+
+    res.status(500).json({
+      articles: [],
+      nextCursor: null,
+      error: "For You feed failed",
+    });
+  }
+});
+
+/* ================= SINGLE NEWS ARTICLE ================= */
+
+app.get("/news/article/:id", async (req, res) => {
+  try {
+    const articleId = req.params.id;
+
+    if (!articleId) {
+      return res.status(400).json({
+        success: false,
+        error: "Article ID is required",
+      });
+    }
+
+    const doc = await db
+      .collection("news")
+      .doc(articleId)
+      .get();
+
+    if (!doc.exists) {
+      const archived = await db
+        .collection("newsArchive")
+        .doc(articleId)
+        .get();
+
+      if (archived.exists && !archived.data().hidden) {
+        return res.json({ id: archived.id, ...archived.data(), archived: true });
+      }
+    }
+
+    if (!doc.exists || doc.data().hidden) {
+      return res.status(404).json({
+        success: false,
+        error: "Article not found",
+      });
+    }
+
+    const [article] = await withLikedByMe(
+      [articleFromDoc(doc)],
+      req.query.deviceId
+    );
+
+    res.json(article);
+
+  } catch (err) {
+    console.error("Single article fetch error:", err.message);
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch article",
+    });
+  }
+});
+
+/* ================= NEWS ARCHIVE ================= */
+
+app.get("/news/archive", async (req, res) => {
+  try {
+    const date = String(req.query.date || "");
+    const language = req.query.language || "en";
+    const category = req.query.category;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const cursor = req.query.cursor;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        error: "date must be YYYY-MM-DD",
+      });
+    }
+
+    let query = db
+      .collection("newsArchive")
+      .where("language", "==", language)
+      .where("day", "==", date);
+
+    if (category && category !== "All") {
+      query = query.where("category", "==", category);
+    }
+
+    query = query.orderBy("timestamp", "desc");
+
+    if (cursor) {
+      const cursorDoc = await db.collection("newsArchive").doc(cursor).get();
+
+      if (cursorDoc.exists) {
+        query = query.startAfter(cursorDoc);
+      }
+    }
+
+    const snapshot = await query.limit(limit).get();
+
+    const articles = snapshot.docs
+      .filter((doc) => !doc.data().hidden)
+      .map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+        archived: true,
+      }));
+
+    const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+    res.json({
+      articles,
+      nextCursor: snapshot.size === limit ? lastDoc.id : null,
+    });
+  } catch (err) {
+    console.error("Archive fetch error:", err.message);
+
+    res.status(500).json({
+      articles: [],
+      nextCursor: null,
+      error: "Failed to fetch archive",
+    });
+  }
+});
+
+/* ================= NEWS ================= */
+
+app.get("/news", async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const category = req.query.category;
+    const language = req.query.language || "en";
+    const cursor = req.query.cursor;
+
+    const cacheKey = `${language}_${category || "All"}_${cursor || "first"}_${limit}`;
+
+const cached = await newsCache.get(cacheKey);
+
+if (cached) {
+  return res.json({
+    ...cached,
+    articles: await withLikedByMe(cached.articles, req.query.deviceId),
+  });
+}
+
+    let query = db.collection("news")
+      .where("language", "==", language);
+
+    if (category && category !== "All") {
+      query = query.where("category", "==", category);
+    }
+
+    query = query.orderBy("timestamp", "desc");
+
+    if (cursor) {
+      const cursorDoc = await db.collection("news").doc(cursor).get();
+      if (cursorDoc.exists) {
+        query = query.startAfter(cursorDoc);
+      }
+    }
+
+    // Over-fetch so a page still has `limit` stories after
+    // collapsing duplicates from other outlets
+    query = query.limit(Math.min(limit * 2, 100));
+
+    const snapshot = await query.get();
+
+    // Pinned stories lead the first page only, but are kept out of
+    // the chronological feed on every page
+    const pinned = await getPinnedArticles(language, category);
+    const pinnedIds = new Set(pinned.map((a) => a.id));
+
+    const visibleDocs = snapshot.docs.filter(
+      (doc) => !doc.data().hidden && !pinnedIds.has(doc.id)
+    );
+
+    const { groups, consumed } = collapseClusters(
+      visibleDocs.map(articleFromDoc),
+      limit
+    );
+
+    const articles = cursor ? groups : [...pinned, ...groups];
+
+    const lastDoc =
+      visibleDocs[consumed - 1] || snapshot.docs[snapshot.docs.length - 1];
+
+    const response = {
+  articles,
+  nextCursor: lastDoc ? lastDoc.id : null,
+};
+
+// Save into cache
+await newsCache.set(cacheKey, response);
+
+res.json({
+  ...response,
+  articles: await withLikedByMe(articles, req.query.deviceId),
+});
+} catch (err) {
+  console.error("========== NEWS ROUTE ERROR ==========");
+  console.error(err);
+
+  return res.status(500).json({
+    articles: [],
+    nextCursor: null,
+    error: err.message,
+  });
+}
+  
+});
+
+/* ================= PINNED ARTICLES ================= */
+
+const MAX_PINNED = 5;
+
+async function getPinnedArticles(language, category) {
+  let query = db
+    .collection("news")
+    .where("language", "==", language)
+    .where("pinned", "==", true);
+
+  if (category && category !== "All") {
+    query = query.where("category", "==", category);
+  }
+
+  const snapshot = await query
+    .orderBy("pinnedAt", "desc")
+    .limit(MAX_PINNED)
+    .get();
+
+  return snapshot.docs
+    .map((doc) => ({ ...articleFromDoc(doc), alsoCoveredBy: [] }))
+    .filter((a) => !a.hidden);
+}
+
+/* ================= SEARCH ================= */
+
+/*
+Articles carry their own slice of the inverted index, written at
+ingestion by buildSearchIndex:
+
+searchTerms: ["modi", "parliament", ...]   // for array-contains-any
+searchTf: { modi: 3, parliament: 2 }      // title terms count double
+searchLength: 42
+
+Document frequencies come from count() queries on searchTerms and are
+cached, so nothing has to be maintained per term at write time.
+*/
+
+const SEARCH_CANDIDATES = 500;
+const SEARCH_STATS_CACHE_TIME = 10 * 60 * 1000; // 10 minutes
+const MAX_INDEXED_TERMS = 150;
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Document frequencies per language and term. Bounded, and each search
+// runs at most MAX_DF_LOOKUPS count queries for terms not cached yet
+const MAX_DF_LOOKUPS = 3;
+
+const searchStatsCache = createMemoryCache({
+  maxEntries: 5000,
+  ttlMs: SEARCH_STATS_CACHE_TIME,
+});
+
+// Longest first so "ियों" is tried before "ों"
+const HINDI_SUFFIXES = [
+  "ाएंगी", "ाएंगे", "ाऊंगी", "ाऊंगा", "ाइयां", "ाइयों",
+  "ियां", "ियों", "ाएं", "ाओं", "ेंगी", "ेंगे", "ाना", "ानी", "ाने",
+  "ाता", "ाती", "ाते", "ेगा", "ेगी", "ीय",
+  "ों", "ें", "ां", "ुआ", "ुई", "ुए", "ीं",
+  "ा", "ी", "े", "ो", "ि", "ु", "ू",
+].sort((a, b) => b.length - a.length);
+
+const DEVANAGARI = /[\u0900-\u097F]/;
+
+function normalizeSearchToken(word) {
+  return word
+    .normalize("NFD")
+    .replace(/\u093C/g, "") // nukta: ज़ -> ज
+    .replace(/\u0901/g, "\u0902") // chandrabindu -> anusvara
+    .replace(/[\u200C\u200D]/g, "") // zero-width joiners
+    .normalize("NFC")
+    .toLowerCase();
+}
+
+function stemHindi(word) {
+  for (const suffix of HINDI_SUFFIXES) {
+    if (
+      word.endsWith(suffix) &&
+      [...word].length - [...suffix].length >= 2
+    ) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+
+  return word;
+}
+
+function stemEnglish(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  let stem = word;
+
+  if (stem.endsWith("ies") && stem.length > 4) {
+    stem = stem.slice(0, -3) + "y";
+  } else if (stem.endsWith("sses")) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith("s") && !stem.endsWith("ss") && !stem.endsWith("us")) {
+    stem = stem.slice(0, -1);
+  }
+
+  if (stem.endsWith("ing") && stem.length > 5) {
+    stem = stem.slice(0, -3);
+  } else if (stem.endsWith("ed") && stem.length > 4) {
+    stem = stem.slice(0, -2);
+  }
+
+  // "inaugurate", "inaugurated" and "inaugurating" share one stem
+  if (stem.endsWith("e") && stem.length > 4) {
+    stem = stem.slice(0, -1);
+  }
+
+  return stem;
+}
+
+function stemSearchToken(word) {
+  return DEVANAGARI.test(word) ? stemHindi(word) : stemEnglish(word);
+}
+
+function analyzeSearchText(text) {
+  return String(text || "")
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .map(normalizeSearchToken)
+    .filter((word) => word && !STOP_WORDS.has(word))
+    .map(stemSearchToken)
+    .filter((term) => term.length > 1 || /\d/.test(term));
+}
+
+function buildSearchIndex({ title, summary, source, category }) {
+  const tf = {};
+
+  const add = (text, weight) => {
+    for (const term of analyzeSearchText(text)) {
+      tf[term] = (tf[term] || 0) + weight;
+    }
+  };
+
+  add(title, 2);
+  add(summary, 1);
+  add(source, 1);
+  add(category, 1);
+
+  const terms = Object.keys(tf)
+    .sort((a, b) => tf[b] - tf[a])
+    .slice(0, MAX_INDEXED_TERMS);
+
+  return {
+    searchTerms: terms,
+    searchTf: Object.fromEntries(terms.map((term) => [term, tf[term]])),
+    searchLength: Object.values(tf).reduce((sum, n) => sum + n, 0),
+  };
+}
+
+// Drops index fields and the legacy likedBy/viewedBy device ID arrays
+function articleFromDoc(doc) {
+  const {
+    searchTerms,
+    searchTf,
+    searchLength,
+    likedBy,
+    viewedBy,
+    ...data
+  } = doc.data();
+
+  return { id: doc.id, ...data };
+}
+
+async function cachedCount(key, query) {
+  const cached = await searchStatsCache.get(key);
+
+  if (cached !== undefined) return cached;
+
+  const snapshot = await query.count().get();
+  const count = snapshot.data().count;
+
+  await searchStatsCache.set(key, count);
+
+  return count;
+}
+
+/*
+Terms past the lookup budget are left out of df; the search route
+estimates them from its candidates with estimateFrequencies.
+*/
+async function loadSearchStats(language, terms) {
+  const base = db.collection("news").where("language", "==", language);
+
+  const cached = await Promise.all(
+    terms.map((term) => searchStatsCache.get(`${language}:${term}`))
+  );
+
+  let lookups = 0;
+
+  const [total, ...frequencies] = await Promise.all([
+    cachedCount(`${language}:*`, base),
+    ...terms.map((term, i) => {
+      if (cached[i] !== undefined) return cached[i];
+      if (lookups++ >= MAX_DF_LOOKUPS) return undefined;
+
+      return cachedCount(
+        `${language}:${term}`,
+        base.where("searchTerms", "array-contains", term)
+      );
+    }),
+  ]);
+
+  const df = {};
+
+  terms.forEach((term, i) => {
+    if (frequencies[i] !== undefined) df[term] = frequencies[i];
+  });
+
+  return { total, df };
+}
+
+// Candidate counts are a lower bound on the true document frequency
+function estimateFrequencies(stats, terms, candidates) {
+  for (const term of terms) {
+    if (stats.df[term] !== undefined) continue;
+
+    stats.df[term] = candidates.filter((doc) =>
+      (doc.data().searchTerms || []).includes(term)
+    ).length;
+  }
+}
+
+function bm25Score(data, terms, stats, avgLength) {
+  const tf = data.searchTf || {};
+  const length = data.searchLength || avgLength;
+
+  let score = 0;
+
+  for (const term of terms) {
+    const freq = tf[term];
+    if (!freq) continue;
+
+    const df = stats.df[term] || 0;
+    const idf = Math.log(1 + (stats.total - df + 0.5) / (df + 0.5));
+
+    score +=
+      (idf * freq * (BM25_K1 + 1)) /
+      (freq + BM25_K1 * (1 - BM25_B + (BM25_B * length) / avgLength));
+  }
+
+  return score;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function isMatchingWord(word, terms) {
+  const [term] = analyzeSearchText(word);
+  return term !== undefined && terms.includes(term);
+}
+
+function highlightTerms(text, terms) {
+  return String(text || "")
+    .split(/(\s+)/)
+    .map((word) =>
+      isMatchingWord(word, terms)
+        ? `<mark>${escapeHtml(word)}</mark>`
+        : escapeHtml(word)
+    )
+    .join("");
+}
+
+function searchSnippet(text, terms, windowWords = 30) {
+  const words = String(text || "").split(/\s+/).filter(Boolean);
+  const first = words.findIndex((word) => isMatchingWord(word, terms));
+
+  const start = Math.max(0, (first === -1 ? 0 : first) - 8);
+  const end = Math.min(words.length, start + windowWords);
+
+  return (
+    (start > 0 ? "… " : "") +
+    highlightTerms(words.slice(start, end).join(" "), terms) +
+    (end < words.length ? " …" : "")
+  );
+}
+
+app.get("/news/search", async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    const language = String(req.query.language || "en");
+    const limit = Math.min(parseInt(req.query.limit) || 30, 50);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    if (!q) {
+      return res.json([]);
+    }
+
+    const terms = [...new Set(analyzeSearchText(q))].slice(0, 10);
+
+    if (terms.length === 0) {
+      return res.json([]);
+    }
+
+    let query = db
+      .collection("news")
+      .where("language", "==", language)
+      .where("searchTerms", "array-contains-any", terms);
+
+    if (req.query.category && req.query.category !== "All") {
+      query = query.where("category", "==", String(req.query.category));
+    }
+
+    if (req.query.source) {
+      query = query.where("source", "==", String(req.query.source));
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid date range",
+      });
+    }
+
+    if (from) query = query.where("timestamp", ">=", from);
+    if (to) query = query.where("timestamp", "<=", to);
+
+    const [snapshot, stats] = await Promise.all([
+      query
+        .orderBy("timestamp", "desc")
+        .limit(SEARCH_CANDIDATES)
+        .get(),
+      loadSearchStats(language, terms),
+    ]);
+
+    const candidates = snapshot.docs.filter((doc) => !doc.data().hidden);
+
+    estimateFrequencies(stats, terms, snapshot.docs);
+
+    const avgLength =
+      candidates.reduce((sum, doc) => sum + (doc.data().searchLength || 0), 0) /
+        (candidates.length || 1) || 1;
+
+    const results = candidates
+      .map((doc) => ({
+        doc,
+        score: bm25Score(doc.data(), terms, stats, avgLength),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice((page - 1) * limit, page * limit)
+      .map(({ doc, score }) => {
+        const article = articleFromDoc(doc);
+
+        return {
+          ...article,
+          score,
+          highlightedTitle: highlightTerms(article.title, terms),
+          snippet: searchSnippet(article.summary, terms),
+        };
+      });
+
+    if (page === 1) {
+      logSearchQuery(language, q, candidates.length);
+    }
+
+    res.json(await withLikedByMe(results, req.query.deviceId));
+  } catch (err) {
+    console.error("Search error:", err.message);
+
+    res.status(500).json({
+      success: false,
+      error: "Search failed",
+    });
+  }
+});
+
+/* ================= SEARCH SUGGESTIONS ================= */
+
+/*
+"searchSuggestions" holds one doc per completion:
+
+{ language, kind: "title" | "source" | "entity", text, prefix, prefixes, weight }
+
+prefix is the normalized text. prefixes lists its leading 2 to
+SUGGESTION_PREFIX_LENGTH characters, so a short prefix is one
+array-contains query ordered by weight. Longer prefixes are a range
+query on prefix, which is narrow enough to rank in memory.
+
+Doc ids are derived from language, kind and prefix, and weight counts
+the visible articles a completion came from. Hiding, deleting or
+archiving an article takes its completions back out with
+forgetSuggestions, which deletes a doc when its weight runs out.
+*/
+
+const MAX_SUGGESTIONS = 10;
+const SUGGESTION_PREFIX_LENGTH = 12;
+const SUGGESTION_TX_SIZE = 200;
+const TRENDING_QUERIES_CACHE_TIME = 10 * 60 * 1000; // 10 minutes
+const SEARCH_QUERY_RETENTION_DAYS = 7;
+
+const trendingQueriesCache = createMemoryCache({
+  maxEntries: Object.keys(LANGUAGES).length,
+  ttlMs: TRENDING_QUERIES_CACHE_TIME,
+});
+
+function suggestionPrefix(text) {
+  return normalizeSearchToken(String(text || ""))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function suggestionPrefixes(prefix) {
+  const longest = Math.min(prefix.length, SUGGESTION_PREFIX_LENGTH);
+  const prefixes = [];
+
+  for (let i = 2; i <= longest; i++) {
+    prefixes.push(prefix.slice(0, i));
+  }
+
+  return prefixes;
+}
+
+// Runs of capitalised words, e.g. "Narendra Modi", "Supreme Court", "ISRO"
+function extractEntities(text) {
+  const matches =
+    String(text || "").match(
+      /\b(?:[A-Z][a-z]+|[A-Z]{2,})(?:\s+(?:[A-Z][a-z]+|[A-Z]{2,})){0,3}\b/g
+    ) || [];
+
+  const entities = matches
+    .map((match) => {
+      const words = match.split(/\s+/);
+
+      // "The ISRO" -> "ISRO"
+      while (words.length && STOP_WORDS.has(words[0].toLowerCase())) {
+        words.shift();
+      }
+
+      return words.join(" ");
+    })
+    .filter((entity) => entity.includes(" ") || entity.length > 3);
+
+  return [...new Set(entities)].slice(0, 5);
+}
+
+function suggestionEntries(article) {
+  const entries = [
+    { kind: "title", text: article.title },
+    { kind: "source", text: article.source },
+    ...extractEntities(`${article.title}. ${article.summary}`).map((text) => ({
+      kind: "entity",
+      text,
+    })),
+  ].filter((entry) => entry.text && suggestionPrefix(entry.text).length > 1);
+
+  return entries.map(({ kind, text }) => {
+    const prefix = suggestionPrefix(text);
+    const id = crypto
+      .createHash("sha1")
+      .update(`${article.language}:${kind}:${prefix}`)
+      .digest("hex");
+
+    return { id, kind, text: text.trim(), prefix };
+  });
+}
+
+async function recordSuggestions(article) {
+  const batch = db.batch();
+
+  for (const { id, kind, text, prefix } of suggestionEntries(article)) {
+    batch.set(
+      db.collection("searchSuggestions").doc(id),
+      {
+        language: article.language,
+        kind,
+        text,
+        prefix,
+        prefixes: suggestionPrefixes(prefix),
+        weight: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+  }
+
+  await batch.commit();
+}
+
+async function forgetSuggestions(articles) {
+  const counts = new Map();
+
+  for (const article of articles) {
+    for (const { id } of suggestionEntries(article)) {
+      counts.set(id, (counts.get(id) || 0) + 1);
+    }
+  }
+
+  const ids = [...counts.keys()];
+
+  for (let i = 0; i < ids.length; i += SUGGESTION_TX_SIZE) {
+    const refs = ids
+      .slice(i, i + SUGGESTION_TX_SIZE)
+      .map((id) => db.collection("searchSuggestions").doc(id));
+
+    await db.runTransaction(async (tx) => {
+      const docs = await tx.getAll(...refs);
+
+      docs.forEach((doc) => {
+        if (!doc.exists) return;
+
+        const count = counts.get(doc.id);
+
+        if ((doc.data().weight || 0) <= count) {
+          tx.delete(doc.ref);
+        } else {
+          tx.update(doc.ref, {
+            weight: admin.firestore.FieldValue.increment(-count),
+          });
+        }
+      });
+    });
+  }
+}
+
+// Logged without any device or IP so queries can't be tied to a user
+function logSearchQuery(language, q, resultCount) {
+  const query = suggestionPrefix(q).slice(0, 100);
+
+  // Skip anything that looks like personal data
+  if (!query || /\S+@\S+|\d{6,}/.test(query)) return;
+
+  db.collection("searchQueries")
+    .add({
+      language,
+      query,
+      resultCount,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    })
+    .catch((err) => console.error("Search log error:", err.message));
+}
+
+async function countRecentQueries(language, hours, zeroResultsOnly = false) {
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  let query = db
+    .collection("searchQueries")
+    .where("language", "==", language)
+    .where("timestamp", ">=", since);
+
+  if (zeroResultsOnly) {
+    query = query.where("resultCount", "==", 0);
+  }
+
+  const snapshot = await query
+    .orderBy("timestamp", "desc")
+    .limit(5000)
+    .select("query", "resultCount")
+    .get();
+
+  const counts = new Map();
+
+  snapshot.forEach((doc) => {
+    const { query: text, resultCount } = doc.data();
+
+    if (!zeroResultsOnly && !resultCount) return;
+
+    counts.set(text, (counts.get(text) || 0) + 1);
+  });
+
+  return [...counts.entries()]
+    .map(([query, count]) => ({ query, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+async function pruneSearchQueries() {
+  try {
+    const cutoff = new Date(
+      Date.now() - SEARCH_QUERY_RETENTION_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    while (true) {
+      const snapshot = await db
+        .collection("searchQueries")
+        .where("timestamp", "<", cutoff)
+        .limit(500)
+        .get();
+
+      if (snapshot.empty) break;
+
+      const batch = db.batch();
+      snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+
+      if (snapshot.size < 500) break;
+    }
+  } catch (err) {
+    console.error("Search query prune error:", err.message);
+  }
+}
+
+app.get("/news/search/suggest", async (req, res) => {
+  try {
+    const prefix = suggestionPrefix(req.query.q);
+    const language = String(req.query.language || "en");
+
+    if (prefix.length < 2) {
+      return res.json([]);
+    }
+
+    const base = db
+      .collection("searchSuggestions")
+      .where("language", "==", language);
+
+    const snapshot =
+      prefix.length <= SUGGESTION_PREFIX_LENGTH
+        ? await base
+            .where("prefixes", "array-contains", prefix)
+            .orderBy("weight", "desc")
+            .limit(MAX_SUGGESTIONS)
+            .get()
+        : await base
+            .where("prefix", ">=", prefix)
+            .where("prefix", "<", prefix + "\uf8ff")
+            .orderBy("prefix")
+            .limit(50)
+            .get();
+
+    const suggestions = snapshot.docs
+      .map((doc) => doc.data())
+      .sort((a, b) => (b.weight || 0) - (a.weight || 0))
+      .slice(0, MAX_SUGGESTIONS)
+      .map(({ text, kind }) => ({ text, kind }));
+
+    res.json(suggestions);
+  } catch (err) {
+    console.error("Suggest error:", err.message);
+
+    res.status(500).json({
+      success: false,
+      error: "Suggest failed",
+    });
+  }
+});
+
+app.get("/news/search/trending", async (req, res) => {
+  try {
+    const language = String(req.query.language || "en");
+
+    if (!isEnabledLanguage(language)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid language",
+      });
+    }
+
+    const cached = await trendingQueriesCache.get(language);
+
+    if (cached) {
+      return res.json(cached);
+    }
+
+    const data = (await countRecentQueries(language, 24)).slice(0, 10);
+
+    await trendingQueriesCache.set(language, data);
+
+    res.json(data);
+  } catch (err) {
+    console.error("Trending queries error:", err.message);
+
+    res.status(500).json({
+      success: false,
+      error: "Trending queries failed",
+    });
+  }
+});
+
+/* ================= LIKE ================= */
+
+/*
+Likes are one doc per device at news/{articleId}/likes/{deviceId}, so
+device IDs never leave the server. Older articles may still carry a
+likedBy array; it is honoured here until those articles age out.
+*/
+
+function likeRef(articleId, deviceId) {
+  return db
+    .collection("news")
+    .doc(articleId)
+    .collection("likes")
+    .doc(String(deviceId));
+}
+
+/*
+Adds likedByMe to copies of the articles; cached lists stay shared.
+articleFromDoc strips likedBy, so legacy likes are read back with a
+field mask alongside the like docs.
+*/
+async function withLikedByMe(articles, deviceId) {
+  if (!deviceId || articles.length === 0) return articles;
+
+  const [likes, legacy] = await Promise.all([
+    db.getAll(...articles.map((article) => likeRef(article.id, deviceId))),
+    db.getAll(
+      ...articles.map((article) => db.collection("news").doc(article.id)),
+      { fieldMask: ["likedBy"] }
+    ),
+  ]);
+
+  return articles.map((article, i) => ({
+    ...article,
+    likedByMe:
+      likes[i].exists ||
+      (legacy[i].exists && (legacy[i].data().likedBy || []).includes(deviceId)),
+  }));
+}
+
+async function setLike(articleId, deviceId, liked) {
+  const docRef = db.collection("news").doc(articleId);
+  const ref = likeRef(articleId, deviceId);
+
+  return db.runTransaction(async (tx) => {
+    const [doc, like] = await Promise.all([tx.get(docRef), tx.get(ref)]);
+
+    if (!doc.exists) return null;
+
+    const legacy = (doc.data().likedBy || []).includes(deviceId);
+    const wasLiked = like.exists || legacy;
+    const delta = liked === wasLiked ? 0 : liked ? 1 : -1;
+
+    if (liked && !like.exists) {
+      tx.set(ref, {
+        deviceId: String(deviceId),
+        likedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } else if (!liked && like.exists) {
+      tx.delete(ref);
+    }
+
+    const update = {};
+
+    if (legacy) {
+      update.likedBy = admin.firestore.FieldValue.arrayRemove(deviceId);
+    }
+
+    if (delta !== 0) {
+      update.likes = admin.firestore.FieldValue.increment(delta);
+    }
+
+    if (Object.keys(update).length > 0) {
+      tx.update(docRef, update);
+    }
+
+    return { liked, likes: (doc.data().likes || 0) + delta };
+  });
+}
+
+app.post("/news/:id/like", async (req, res) => {
+  try {
+    const { deviceId } = req.body;
+    if (!deviceId) {
+  return res.status(400).json({
+    success: false,
+    error: "deviceId is required",
+  });
+}
+
+    const result = await setLike(req.params.id, deviceId, true);
+
+    if (!result) return res.status(404).json({ success: false });
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Like error:", err.message);
+    res.status(500).json({ success: false });
+  }
+});
+
+/* ================= UNLIKE ================= */
+
+app.post("/news/:id/unlike", async (req, res) => {
+  try {
+    const { deviceId } = req.body;
+
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: "deviceId is required",
+      });
+    }
+
+    const result = await setLike(req.params.id, deviceId, false);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: "Article not found",
+      });
+    }
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    console.error("Unlike error:", error);
+    res.status(500).json({ success: false });
+  }
+});
+
+/* ================= LIKE STATUS ================= */
+
+app.get("/news/:id/like-status", async (req, res) => {
+  try {
+    const deviceId = req.query.deviceId;
+
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: "deviceId is required",
+      });
+    }
+
+    const [doc, like] = await db.getAll(
+      db.collection("news").doc(req.params.id),
+      likeRef(req.params.id, deviceId)
+    );
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: "Article not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      likedByMe:
+        like.exists || (doc.data().likedBy || []).includes(deviceId),
+      likes: doc.data().likes || 0,
+    });
+  } catch (err) {
+    console.error("Like status error:", err.message);
+    res.status(500).json({ success: false });
+  }
+});
+
+/* ================= VIEWS ================= */
+
+/*
+A view counts once per device per article within VIEW_DEDUPE_HOURS.
+Counted views are journaled to "pendingViews" in the same transaction
+as the device's view record, and flushViewQueue folds the journal into
+news.views, so nothing is lost across restarts.
+*/
+
+const VIEW_DEDUPE_HOURS = parseInt(process.env.VIEW_DEDUPE_HOURS) || 24;
+
+let flushingViews = false;
+
+// Clients without a deviceId are keyed by a hash of their IP
+function viewerKey(req) {
+  const deviceId = req.body?.deviceId;
+
+  if (deviceId) return String(deviceId);
+
+  return `anon_${crypto
+    .createHash("sha256")
+    .update(String(req.ip))
+    .digest("hex")
+    .slice(0, 32)}`;
+}
+
+async function recordView(articleId, deviceKey) {
+  const articleRef = db.collection("news").doc(articleId);
+  const viewRef = db
+    .collection("devices")
+    .doc(deviceKey)
+    .collection("views")
+    .doc(articleId);
+
+  return db.runTransaction(async (tx) => {
+    const [article, view] = await Promise.all([
+      tx.get(articleRef),
+      tx.get(viewRef),
+    ]);
+
+    if (!article.exists) return null;
+
+    const lastCounted = view.exists
+      ? view.data().lastCountedAt?.toMillis?.() || 0
+      : 0;
+
+    const counted =
+      Date.now() - lastCounted > VIEW_DEDUPE_HOURS * 60 * 60 * 1000;
+
+    // View history also feeds the For You ranking
+    const record = {
+      articleId,
+      category: article.data().category || null,
+      clusterId: article.data().clusterId || null,
+      viewedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    if (counted) {
+      record.lastCountedAt = admin.firestore.FieldValue.serverTimestamp();
+
+      tx.set(db.collection("pendingViews").doc(), {
+        articleId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    tx.set(viewRef, record, { merge: true });
+
+    return { counted };
+  });
+}
+
+app.post("/news/:id/view", async (req, res) => {
+  try {
+    const result = await recordView(req.params.id, viewerKey(req));
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: "Article not found",
+      });
+    }
+
+    res.json({ success: true, counted: result.counted });
+  } catch (err) {
+    console.error("View record error:", err.message);
+    res.status(500).json({ success: false });
+  }
+});
+
+async function flushViewQueue() {
+  if (flushingViews) return;
+  flushingViews = true;
+
+  let flushed = 0;
+
+  try {
+    while (true) {
+      const snapshot = await db
+        .collection("pendingViews")
+        .orderBy("createdAt")
+        .limit(450)
+        .get();
+
+      if (snapshot.empty) break;
+
+      const byArticle = new Map();
+
+      snapshot.docs.forEach((doc) => {
+        const { articleId } = doc.data();
+
+        if (!byArticle.has(articleId)) byArticle.set(articleId, []);
+        byArticle.get(articleId).push(doc.ref);
+      });
+
+      // One transaction per article. Only journal entries that still
+      // exist are counted and deleted, so two instances flushing the same
+      // page can't apply the same views twice
+      await Promise.all(
+        [...byArticle.entries()].map(async ([id, refs]) => {
+          try {
+            flushed += await db.runTransaction(async (tx) => {
+              const [article, ...entries] = await tx.getAll(
+                db.collection("news").doc(id),
+                ...refs
+              );
+              const live = entries.filter((entry) => entry.exists);
+
+              if (live.length === 0) return 0;
+
+              if (article.exists) {
+                tx.update(article.ref, {
+                  views: admin.firestore.FieldValue.increment(live.length),
+                });
+              }
+
+              live.forEach((entry) => tx.delete(entry.ref));
+
+              return live.length;
+            });
+          } catch (err) {
+            console.error(`View flush failed for ${id}:`, err.message);
+          }
+        })
+      );
+
+      if (snapshot.size < 450) break;
+    }
+
+    if (flushed > 0) {
+      console.log(`View queue flushed (${flushed} views)`);
+    }
+  } catch (err) {
+    console.error("View flush error:", err.message);
+  } finally {
+    flushingViews = false;
+  }
+}
+
+/* ================= BOOKMARKS ================= */
+
+/*
+devices/{deviceId}/bookmarks/{articleId} keeps a copy of the article,
+so a saved story still opens after retention moves it out of "news".
+*/
+
+const BOOKMARK_FIELDS = [
+  "title",
+  "summary",
+  "category",
+  "language",
+  "source",
+  "sourceUrl",
+  "image",
+  "breaking",
+  "timestamp",
+];
+
+function bookmarkRef(deviceId, articleId) {
+  return db
+    .collection("devices")
+    .doc(String(deviceId))
+    .collection("bookmarks")
+    .doc(articleId);
+}
+
+/*
+Prefers the live article, falling back to the copy taken when saved.
+Returns null when an editor has hidden the article, live or archived,
+so a takedown can't be read through an old bookmark.
+*/
+function bookmarkedArticle(bookmark, live, archived) {
+  const { article, savedAt } = bookmark.data();
+
+  if (live?.exists) {
+    return live.data().hidden ? null : { ...articleFromDoc(live), savedAt };
+  }
+
+  if (archived?.exists && archived.data().hidden) return null;
+
+  return { id: bookmark.id, ...article, savedAt, expired: true };
+}
+
+// Live and archived docs for each bookmark, in bookmark order
+async function loadBookmarkedDocs(ids) {
+  if (ids.length === 0) return { live: [], archived: [] };
+
+  const docs = await db.getAll(
+    ...ids.map((id) => db.collection("news").doc(id)),
+    ...ids.map((id) => db.collection("newsArchive").doc(id))
+  );
+
+  return {
+    live: docs.slice(0, ids.length),
+    archived: docs.slice(ids.length),
+  };
+}
+
+app.post("/devices/:deviceId/bookmarks/:articleId", async (req, res) => {
+  try {
+    const { deviceId, articleId } = req.params;
+    const articleRef = db.collection("news").doc(articleId);
+    const ref = bookmarkRef(deviceId, articleId);
+
+    const found = await db.runTransaction(async (tx) => {
+      const [article, bookmark] = await Promise.all([
+        tx.get(articleRef),
+        tx.get(ref),
+      ]);
+
+      if (!article.exists || article.data().hidden) return false;
+      if (bookmark.exists) return true;
+
+      const data = article.data();
+      const copy = {};
+
+      BOOKMARK_FIELDS.forEach((field) => {
+        if (data[field] !== undefined) copy[field] = data[field];
+      });
+
+      tx.set(ref, {
+        articleId,
+        article: copy,
+        savedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.update(articleRef, {
+        bookmarks: admin.firestore.FieldValue.increment(1),
+      });
+
+      return true;
+    });
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: "Article not found",
+      });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Bookmark save error:", err.message);
+    res.status(500).json({ success: false });
+  }
+});
+
+app.delete("/devices/:deviceId/bookmarks/:articleId", async (req, res) => {
+  try {
+    const { deviceId, articleId } = req.params;
+    const articleRef = db.collection("news").doc(articleId);
+    const ref = bookmarkRef(deviceId, articleId);
+
+    await db.runTransaction(async (tx) => {
+      const [article, bookmark] = await Promise.all([
+        tx.get(articleRef),
+        tx.get(ref),
+      ]);
+
+      if (!bookmark.exists) return;
+
+      tx.delete(ref);
+
+      if (article.exists) {
+        tx.update(articleRef, {
+          bookmarks: admin.firestore.FieldValue.increment(-1),
+        });
+      }
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Bookmark delete error:", err.message);
+    res.status(500).json({ success: false });
+  }
+});
+
+app.get("/devices/:deviceId/bookmarks", async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const cursor = req.query.cursor;
+
+    const collection = db
+      .collection("devices")
+      .doc(String(deviceId))
+      .collection("bookmarks");
+
+    let query = collection.orderBy("savedAt", "desc");
+
+    if (cursor) {
+      const cursorDoc = await collection.doc(cursor).get();
+
+      if (cursorDoc.exists) {
+        query = query.startAfter(cursorDoc);
+      }
+    }
+
+    const snapshot = await query.limit(limit).get();
+
+    const { live, archived } = await loadBookmarkedDocs(
+      snapshot.docs.map((doc) => doc.id)
+    );
+
+    // Taken-down articles stay in the list as a stub without content
+    const articles = snapshot.docs.map(
+      (doc, i) =>
+        bookmarkedArticle(doc, live[i], archived[i]) || {
+          id: doc.id,
+          savedAt: doc.data().savedAt,
+          removed: true,
+        }
+    );
+
+    const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+    res.json({
+      articles,
+      nextCursor: snapshot.size === limit ? lastDoc.id : null,
+    });
+  } catch (err) {
+    console.error("Bookmark list error:", err.message);
+
+    res.status(500).json({
+      articles: [],
+      nextCursor: null,
+      error: "Failed to load bookmarks",
+    });
+  }
+});
+
+app.get("/devices/:deviceId/bookmarks/:articleId", async (req, res) => {
+  try {
+    const { deviceId, articleId } = req.params;
+
+    const [bookmark, live, archived] = await db.getAll(
+      bookmarkRef(deviceId, articleId),
+      db.collection("news").doc(articleId),
+      db.collection("newsArchive").doc(articleId)
+    );
+
+    const article = bookmark.exists
+      ? bookmarkedArticle(bookmark, live, archived)
+      : null;
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: "Bookmark not found",
+      });
+    }
+
+    res.json(article);
+  } catch (err) {
+    console.error("Bookmark fetch error:", err.message);
+    res.status(500).json({ success: false });
+  }
+});
+
+/* ================= ADMIN AUTH ================= */
+
+/*
+Admin API keys live in "adminKeys", hashed:
+
+{
+  name: "priya (desk editor)",
+  roles: ["editor"],
+  keyHash: sha256(secret),
+  createdAt, createdBy, rotatedAt, revokedAt, lastUsedAt
+}
+
+Clients send "Authorization: Bearer pi_<keyId>_<secret>". ADMIN_KEY
+from the environment still works as an owner key (header only) so the
+first real keys can be created.
+*/
+
+const ROLE_GRANTS = {
+  owner: ["owner", "editor", "push-operator", "viewer"],
+  editor: ["editor", "viewer"],
+  "push-operator": ["push-operator", "viewer"],
+  viewer: ["viewer"],
+};
+
+const ADMIN_KEY_CACHE_TIME = 60 * 1000; // revocations apply within a minute
+// Bounded, and only known keys are cached, so made-up key ids can't grow it
+const adminKeyCache = createMemoryCache({
+  maxEntries: 500,
+  ttlMs: ADMIN_KEY_CACHE_TIME,
+});
+
+function hashAdminSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function generateAdminSecret() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+async function getAdminKey(keyId) {
+  const cached = await adminKeyCache.get(keyId);
+
+  if (cached) return cached;
+
+  const doc = await db.collection("adminKeys").doc(keyId).get();
+
+  if (!doc.exists) return null;
+
+  await adminKeyCache.set(keyId, doc.data());
+
+  return doc.data();
+}
+
+async function resolveAdminKey(token) {
+  if (process.env.ADMIN_KEY && safeEqual(token, process.env.ADMIN_KEY)) {
+    return { id: "bootstrap", name: "bootstrap", roles: ["owner"] };
+  }
+
+  const match = /^pi_([a-f0-9]{16})_([A-Za-z0-9_-]{20,})$/.exec(token);
+  if (!match) return null;
+
+  const [, keyId, secret] = match;
+  const key = await getAdminKey(keyId);
+
+  if (!key || key.revokedAt) return null;
+
+  const hash = hashAdminSecret(secret);
+  const inGrace =
+    key.previousKeyHash &&
+    key.previousKeyExpiresAt?.toMillis?.() > Date.now() &&
+    safeEqual(hash, key.previousKeyHash);
+
+  if (!safeEqual(hash, key.keyHash) && !inGrace) return null;
+
+  // Throttle lastUsedAt writes to one per key every 5 minutes
+  const lastUsed = key.lastUsedAt?.toMillis?.() || 0;
+  if (Date.now() - lastUsed > 5 * 60 * 1000) {
+    key.lastUsedAt = admin.firestore.Timestamp.now();
+
+    db.collection("adminKeys")
+      .doc(keyId)
+      .update({ lastUsedAt: admin.firestore.FieldValue.serverTimestamp() })
+      .catch((err) => console.error("Admin key touch error:", err.message));
+  }
+
+  return { id: keyId, name: key.name, roles: key.roles || [] };
+}
+
+function requireRole(role) {
+  return async (req, res, next) => {
+    try {
+      const header = req.get("authorization") || "";
+      const token = header.startsWith("Bearer ")
+        ? header.slice(7).trim()
+        : "";
+
+      const identity = token ? await resolveAdminKey(token) : null;
+
+      if (!identity) {
+        return res.status(401).json({
+          success: false,
+          error: "Unauthorized",
+        });
+      }
+
+      const granted = identity.roles.flatMap((r) => ROLE_GRANTS[r] || []);
+
+      if (!granted.includes(role)) {
+        return res.status(403).json({
+          success: false,
+          error: `Requires ${role} role`,
+        });
+      }
+
+      req.admin = identity;
+      next();
+    } catch (err) {
+      console.error("Admin auth error:", err.message);
+      res.status(500).json({ success: false, error: "Auth failed" });
+    }
+  };
+}
+
+function validateRoles(roles) {
+  if (!Array.isArray(roles) || roles.length === 0) {
+    return "roles must be a non-empty array";
+  }
+
+  const unknown = roles.find((role) => !ROLE_GRANTS[role]);
+  if (unknown) return `Unknown role "${unknown}"`;
+
+  return null;
+}
+
+/* ================= ADMIN KEYS ================= */
+
+app.get("/admin/keys", requireRole("owner"), async (req, res) => {
+  try {
+    const snapshot = await db
+      .collection("adminKeys")
+      .orderBy("createdAt", "desc")
+      .get();
+
+    res.json(
+      snapshot.docs.map((doc) => {
+        const { keyHash, previousKeyHash, ...key } = doc.data();
+        return { id: doc.id, ...key };
+      })
+    );
+  } catch (err) {
+    console.error("List admin keys error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to list keys" });
+  }
+});
+
+app.post("/admin/keys", requireRole("owner"), async (req, res) => {
+  try {
+    const { name, roles } = req.body;
+
+    if (!name || typeof name !== "string") {
+      return res.status(400).json({ success: false, error: "name is required" });
+    }
+
+    const error = validateRoles(roles);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const keyId = crypto.randomBytes(8).toString("hex");
+    const secret = generateAdminSecret();
+
+    const batch = db.batch();
+    batch.set(db.collection("adminKeys").doc(keyId), {
+      name: name.trim(),
+      roles,
+      keyHash: hashAdminSecret(secret),
+      createdBy: req.admin.name,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      revokedAt: null,
+    });
+    batch.set(db.collection("adminAudit").doc(), {
+      ...auditEntry(req, "key.create", null, {
+        name: { from: null, to: name.trim() },
+        roles: { from: null, to: roles },
+      }),
+      keyId,
+    });
+    await batch.commit();
+
+    // The secret is only ever shown here
+    res.json({ success: true, id: keyId, key: `pi_${keyId}_${secret}` });
+  } catch (err) {
+    console.error("Create admin key error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to create key" });
+  }
+});
+
+app.patch("/admin/keys/:id", requireRole("owner"), async (req, res) => {
+  try {
+    const { roles } = req.body;
+
+    const error = validateRoles(roles);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const docRef = db.collection("adminKeys").doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists || doc.data().revokedAt) {
+      return res.status(404).json({ success: false, error: "Key not found" });
+    }
+
+    const batch = db.batch();
+    batch.update(docRef, { roles });
+    batch.set(db.collection("adminAudit").doc(), {
+      ...auditEntry(req, "key.roles", null, {
+        roles: { from: doc.data().roles || [], to: roles },
+      }),
+      keyId: docRef.id,
+    });
+    await batch.commit();
+
+    await adminKeyCache.delete(docRef.id);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Update admin key error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to update key" });
+  }
+});
+
+app.post("/admin/keys/:id/rotate", requireRole("owner"), async (req, res) => {
+  try {
+    const graceHours = Math.min(Math.max(Number(req.body.graceHours) || 0, 0), 72);
+
+    const docRef = db.collection("adminKeys").doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists || doc.data().revokedAt) {
+      return res.status(404).json({ success: false, error: "Key not found" });
+    }
+
+    const secret = generateAdminSecret();
+
+    const update = {
+      keyHash: hashAdminSecret(secret),
+      rotatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      previousKeyHash: null,
+      previousKeyExpiresAt: null,
+    };
+
+    // Let the old secret keep working for a while so clients can be updated
+    if (graceHours > 0) {
+      update.previousKeyHash = doc.data().keyHash;
+      update.previousKeyExpiresAt = new Date(
+        Date.now() + graceHours * 60 * 60 * 1000
+      );
+    }
+
+    const batch = db.batch();
+    batch.update(docRef, update);
+    batch.set(db.collection("adminAudit").doc(), {
+      ...auditEntry(req, "key.rotate", null, {
+        graceHours: { from: null, to: graceHours },
+      }),
+      keyId: docRef.id,
+    });
+    await batch.commit();
+
+    await adminKeyCache.delete(docRef.id);
+
+    res.json({
+      success: true,
+      id: docRef.id,
+      key: `pi_${docRef.id}_${secret}`,
+    });
+  } catch (err) {
+    console.error("Rotate admin key error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to rotate key" });
+  }
+});
+
+app.delete("/admin/keys/:id", requireRole("owner"), async (req, res) => {
+  try {
+    const docRef = db.collection("adminKeys").doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: "Key not found" });
+    }
+
+    const batch = db.batch();
+    batch.update(docRef, {
+      revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+      revokedBy: req.admin.name,
+    });
+    batch.set(db.collection("adminAudit").doc(), {
+      ...auditEntry(req, "key.revoke", null),
+      keyId: docRef.id,
+    });
+    await batch.commit();
+
+    await adminKeyCache.delete(docRef.id);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Revoke admin key error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to revoke key" });
+  }
+});
+
+/* ================= ADMIN STATS ================= */
+
+app.get("/admin/stats", requireRole("viewer"), async (req, res) => {
+  try {
+    const tokenSnapshot = await db.collection("fcmTokens").count().get();
+    const newsSnapshot = await db.collection("news").count().get();
+    const pendingViewsSnapshot = await db.collection("pendingViews").count().get();
+
+    // Read from Firestore: the fetching instance may not be this one
+    const usageDoc = await newsdataUsageRef().get();
+    const usage = usageDoc.exists ? usageDoc.data() : {};
+
+    res.json({
+      status: "Online",
+
+      uptime: Math.floor(process.uptime()),
+
+      memory: process.memoryUsage(),
+
+      node: process.version,
+
+      newsArticles: newsSnapshot.data().count,
+
+      registeredUsers: tokenSnapshot.data().count,
+
+      cacheBackend: CACHE_BACKEND,
+
+      newsCache: newsCache.size(),
+
+      trendingCache: trendingCache.size(),
+
+      knownUrls: knownUrls.size,
+
+      pendingViews: pendingViewsSnapshot.data().count,
+
+      likeQueue: likeQueue.size,
+
+      newsdataQuota: newsdataQuota({
+        day: quotaDay(),
+        credits: usage.credits || 0,
+        exhausted: usage.exhausted || false,
+      }),
+
+      // Breaker state as seen by this instance
+      upstreams: Object.fromEntries(upstreamBreakers),
+    });
+
+  } catch (err) {
+    console.error(err);
+
+    res.status(500).json({
+      error: err.message,
+    });
+  }
+});
+
+/* ================= ADMIN NEWS SOURCES ================= */
+
+app.get("/admin/sources", requireRole("viewer"), async (req, res) => {
+  try {
+    res.json(await loadNewsSources());
+  } catch (err) {
+    console.error("List sources error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to load sources" });
+  }
+});
+
+app.post("/admin/sources", requireRole("editor"), async (req, res) => {
+  try {
+    const { changes, error: parseError } = parseSourceChanges(req.body);
+    if (parseError) {
+      return res.status(400).json({ success: false, error: parseError });
+    }
+
+    const config = { enabled: true, pollIntervalMinutes: 45 };
+
+    for (const [field, value] of Object.entries(changes)) {
+      if (value !== null) config[field] = value;
+    }
+
+    const error = validateSourceConfig(config);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const docRef = await db.collection("newsSources").add(config);
+
+    res.json({ success: true, id: docRef.id });
+  } catch (err) {
+    console.error("Create source error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to create source" });
+  }
+});
+
+app.patch("/admin/sources/:id", requireRole("editor"), async (req, res) => {
+  try {
+    const docRef = db.collection("newsSources").doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: "Source not found" });
+    }
+
+    const { changes, error: parseError } = parseSourceChanges(req.body);
+    if (parseError) {
+      return res.status(400).json({ success: false, error: parseError });
+    }
+
+    const config = { ...doc.data() };
+    const update = {};
+
+    for (const [field, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete config[field];
+        update[field] = admin.firestore.FieldValue.delete();
+      } else {
+        config[field] = value;
+        update[field] = value;
+      }
+    }
+
+    const error = validateSourceConfig(config);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.json({ success: true });
+    }
+
+    await docRef.update(update);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Update source error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to update source" });
+  }
+});
+
+app.delete("/admin/sources/:id", requireRole("editor"), async (req, res) => {
+  try {
+    await db.collection("newsSources").doc(req.params.id).delete();
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Delete source error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to delete source" });
+  }
+});
+
+/* ================= ADMIN INGESTION ================= */
+
+app.get("/admin/ingest/runs", requireRole("viewer"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    let query = db.collection("ingestRuns");
+
+    if (req.query.status) {
+      query = query.where("status", "==", req.query.status);
+    }
+
+    const snapshot = await query
+      .orderBy("startedAt", "desc")
+      .limit(limit)
+      .get();
+
+    res.json(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })));
+  } catch (err) {
+    console.error("Ingest runs error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to load runs" });
+  }
+});
+
+app.get("/admin/ingest/runs/:id", requireRole("viewer"), async (req, res) => {
+  try {
+    const doc = await db.collection("ingestRuns").doc(req.params.id).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: "Run not found" });
+    }
+
+    res.json({ id: doc.id, ...doc.data() });
+  } catch (err) {
+    console.error("Ingest run error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to load run" });
+  }
+});
+
+/*
+Starts a fetch now, ignoring poll intervals, for one language or every
+enabled one. Responds 202 with the run id once this instance holds the
+fetch lease; poll /admin/ingest/runs/:id for the outcome.
+*/
+app.post("/admin/ingest/run", requireRole("editor"), async (req, res) => {
+  try {
+    const language = req.body?.language;
+
+    if (language !== undefined && !isEnabledLanguage(language)) {
+      return res.status(400).json({ success: false, error: "Invalid language" });
+    }
+
+    if (fetchingNews) {
+      return res.status(409).json({
+        success: false,
+        error: "A fetch is already running",
+      });
+    }
+
+    fetchingNews = true;
+
+    const languages = language ? [language] : ENABLED_LANGUAGES;
+    const run = createIngestRun({
+      trigger: "admin",
+      requestedBy: req.admin.name,
+      languages,
+      force: true,
+    });
+
+    let markStarted;
+    const started = new Promise((resolve) => (markStarted = resolve));
+
+    runExclusive("fetchNews", async () => {
+      markStarted(true);
+      await fetchNews({ languages, force: true, run });
+    })
+      .then((ran) => {
+        if (!ran) markStarted(false);
+      })
+      .catch((err) => {
+        markStarted(false);
+        console.error("Manual fetch error:", err.message);
+      })
+      .finally(() => {
+        fetchingNews = false;
+      });
+
+    if (!(await started)) {
+      return res.status(409).json({
+        success: false,
+        error: "Another instance is fetching",
+      });
+    }
+
+    res.status(202).json({ success: true, runId: run.ref.id, languages });
+  } catch (err) {
+    console.error("Manual fetch error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to start fetch" });
+  }
+});
+
+/* ================= ADMIN ARTICLES ================= */
+
+const EDITABLE_ARTICLE_FIELDS = {
+  title: "string",
+  summary: "string",
+  category: "string",
+  language: "string",
+  source: "string",
+  sourceUrl: "string",
+  image: "string",
+  breaking: "boolean",
+  pinned: "boolean",
+  hidden: "boolean",
+};
+
+// Value a field falls back to when an editor clears it with null
+const CLEARED_ARTICLE_FIELDS = {
+  summary: "",
+  category: "India",
+  image: "",
+  breaking: false,
+  pinned: false,
+  hidden: false,
+};
+
+function parseArticleChanges(body, current = {}) {
+  const changes = {};
+
+  for (const [field, value] of Object.entries(body || {})) {
+    const type = EDITABLE_ARTICLE_FIELDS[field];
+
+    if (!type) {
+      return { error: `Field "${field}" cannot be edited` };
+    }
+
+    if (value === null) {
+      if (!(field in CLEARED_ARTICLE_FIELDS)) {
+        return { error: `Field "${field}" cannot be cleared` };
+      }
+
+      changes[field] = CLEARED_ARTICLE_FIELDS[field];
+      continue;
+    }
+
+    if (typeof value !== type) {
+      return { error: `Field "${field}" must be a ${type}` };
+    }
+
+    changes[field] = type === "string" ? value.trim() : value;
+  }
+
+  if (changes.title === "") {
+    return { error: "Title cannot be empty" };
+  }
+
+  if (changes.language && !isEnabledLanguage(changes.language)) {
+    return { error: "Invalid language" };
+  }
+
+  const language = changes.language || current.language;
+
+  if (changes.category && language && !isAllowedCategory(language, changes.category)) {
+    return { error: `Category "${changes.category}" is not available in ${language}` };
+  }
+
+  return { changes };
+}
+
+function diffArticle(before, changes) {
+  const diff = {};
+
+  for (const [field, value] of Object.entries(changes)) {
+    const previous = before[field] === undefined ? null : before[field];
+
+    if (previous !== value) {
+      diff[field] = { from: previous, to: value };
+    }
+  }
+
+  return diff;
+}
+
+function auditEntry(req, action, articleId, changes = {}) {
+  return {
+    action,
+    articleId,
+    actor: req.admin.name,
+    changes,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+app.post("/admin/articles", requireRole("editor"), async (req, res) => {
+  try {
+    const { changes, error } = parseArticleChanges(req.body);
+
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (!changes.title || !changes.language) {
+      return res.status(400).json({
+        success: false,
+        error: "title and language are required",
+      });
+    }
+
+    // Same id scheme as ingestion, so the feed can't add this URL again
+    const docRef = changes.sourceUrl
+      ? db.collection("news").doc(articleIdForUrl(changes.sourceUrl))
+      : db.collection("news").doc();
+
+    const article = {
+      summary: "",
+      category: "India",
+      source: "ProIndian",
+      sourceUrl: "",
+      image: "",
+      breaking: false,
+      pinned: false,
+      hidden: false,
+      ...changes,
+      clusterId: docRef.id,
+      likes: 0,
+      views: 0,
+      createdBy: req.admin.name,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    if (article.pinned) {
+      article.pinnedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+
+    Object.assign(article, buildSearchIndex(article));
+
+    const batch = db.batch();
+    batch.create(docRef, article);
+    batch.set(
+      db.collection("adminAudit").doc(),
+      auditEntry(req, "create", docRef.id, diffArticle({}, changes))
+    );
+
+    try {
+      await batch.commit();
+    } catch (err) {
+      if (err.code !== GRPC_ALREADY_EXISTS) throw err;
+
+      return res.status(409).json({
+        success: false,
+        error: "An article with this sourceUrl already exists",
+        id: docRef.id,
+      });
+    }
+
+    if (article.sourceUrl) rememberUrl(article.sourceUrl);
+
+    if (!article.hidden) {
+      await recordSuggestions(article).catch((err) =>
+        console.error("Suggestion update error:", err.message)
+      );
+    }
+
+    await invalidateNewsCaches();
+
+    res.json({ success: true, id: docRef.id });
+  } catch (err) {
+    console.error("Create article error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to create article" });
+  }
+});
+
+app.patch("/admin/articles/:id", requireRole("editor"), async (req, res) => {
+  try {
+    const docRef = db.collection("news").doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: "Article not found",
+      });
+    }
+
+    const { changes, error } = parseArticleChanges(req.body, doc.data());
+
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const diff = diffArticle(doc.data(), changes);
+
+    if (Object.keys(diff).length === 0) {
+      return res.json({ success: true, changed: false });
+    }
+
+    const update = {
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: req.admin.name,
+    };
+
+    for (const [field, { to }] of Object.entries(diff)) {
+      update[field] = to;
+    }
+
+    if (diff.title || diff.summary || diff.source || diff.category) {
+      Object.assign(update, buildSearchIndex({ ...doc.data(), ...update }));
+    }
+
+    if (diff.pinned) {
+      update.pinnedAt = diff.pinned.to
+        ? admin.firestore.FieldValue.serverTimestamp()
+        : admin.firestore.FieldValue.delete();
+    }
+
+    const batch = db.batch();
+    batch.update(docRef, update);
+    batch.set(
+      db.collection("adminAudit").doc(),
+      auditEntry(req, "update", docRef.id, diff)
+    );
+    await batch.commit();
+
+    const suggestionsChanged =
+      diff.hidden || diff.title || diff.summary || diff.source || diff.language;
+
+    if (suggestionsChanged) {
+      const before = doc.data();
+      const after = { ...before, ...update };
+
+      try {
+        if (!before.hidden) await forgetSuggestions([before]);
+        if (!after.hidden) await recordSuggestions(after);
+      } catch (err) {
+        console.error("Suggestion update error:", err.message);
+      }
+    }
+
+    await invalidateNewsCaches();
+
+    res.json({ success: true, changed: true });
+  } catch (err) {
+    console.error("Update article error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to update article" });
+  }
+});
+
+app.delete("/admin/articles/:id", requireRole("editor"), async (req, res) => {
+  try {
+    const docRef = db.collection("news").doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: "Article not found",
+      });
+    }
+
+    const { title, sourceUrl, hidden } = doc.data();
+
+    const batch = db.batch();
+    batch.delete(docRef);
+
+    // Tombstone so ingestion never brings the URL back
+    if (sourceUrl) {
+      batch.set(
+        db.collection("articleTombstones").doc(articleIdForUrl(sourceUrl)),
+        {
+          sourceUrl,
+          articleId: docRef.id,
+          deletedBy: req.admin.name,
+          deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }
+      );
+    }
+
+    batch.set(
+      db.collection("adminAudit").doc(),
+      auditEntry(req, "delete", docRef.id, {
+        title: { from: title, to: null },
+      })
+    );
+    await batch.commit();
+
+    // Keep the URL known so no instance re-ingests it right away
+    if (sourceUrl) rememberUrl(sourceUrl);
+
+    if (!hidden) {
+      await forgetSuggestions([doc.data()]).catch((err) =>
+        console.error("Suggestion update error:", err.message)
+      );
+    }
+
+    await invalidateNewsCaches();
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Delete article error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to delete article" });
+  }
+});
+
+app.get("/admin/audit", requireRole("viewer"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    let query = db.collection("adminAudit");
+
+    if (req.query.articleId) {
+      query = query.where("articleId", "==", req.query.articleId);
+    }
+
+    const snapshot = await query
+      .orderBy("timestamp", "desc")
+      .limit(limit)
+      .get();
+
+    res.json(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })));
+  } catch (err) {
+    console.error("Audit log error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to load audit log" });
+  }
+});
+
+/* ================= ADMIN PUSH CAMPAIGNS ================= */
+
+app.post(
+  "/admin/push/campaigns",
+  requireRole("push-operator"),
+  async (req, res) => {
+    try {
+      const { articleId, title, body, target, sendAt } = req.body;
+
+      if (!articleId || !title || typeof title !== "string") {
+        return res.status(400).json({
+          success: false,
+          error: "articleId and title are required",
+        });
+      }
+
+      const targetError = validatePushTarget(target);
+      if (targetError) {
+        return res.status(400).json({ success: false, error: targetError });
+      }
+
+      const sendDate = sendAt ? new Date(sendAt) : new Date();
+
+      if (isNaN(sendDate.getTime())) {
+        return res.status(400).json({ success: false, error: "Invalid sendAt" });
+      }
+
+      const article = await db.collection("news").doc(articleId).get();
+
+      if (!article.exists) {
+        return res.status(404).json({
+          success: false,
+          error: "Article not found",
+        });
+      }
+
+      const ref = db.collection("pushCampaigns").doc();
+
+      const batch = db.batch();
+      batch.set(ref, {
+        articleId,
+        title: title.trim(),
+        body: String(body || article.data().title).trim(),
+        category: article.data().category,
+        language: article.data().language,
+        breaking: article.data().breaking === true,
+        target,
+        sendAt: sendDate,
+        status: "pending",
+        createdBy: req.admin.name,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      batch.set(
+        db.collection("adminAudit").doc(),
+        auditEntry(req, "push.schedule", articleId, {
+          campaignId: { from: null, to: ref.id },
+          sendAt: { from: null, to: sendDate.toISOString() },
+        })
+      );
+      await batch.commit();
+
+      if (sendDate <= new Date()) {
+        await runCampaign(ref);
+      }
+
+      const saved = await ref.get();
+
+      res.json({ success: true, id: ref.id, status: saved.data().status });
+    } catch (err) {
+      console.error("Create campaign error:", err.message);
+      res.status(500).json({ success: false, error: "Failed to create campaign" });
+    }
+  }
+);
+
+app.get("/admin/push/campaigns", requireRole("viewer"), async (req, res) => {
+  try {
+    let query = db.collection("pushCampaigns");
+
+    if (req.query.status) {
+      query = query.where("status", "==", req.query.status);
+    }
+
+    const snapshot = await query
+      .orderBy("sendAt", "desc")
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+      .get();
+
+    res.json(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })));
+  } catch (err) {
+    console.error("List campaigns error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to list campaigns" });
   }
 });
 
-/* ================= NEWS ================= */
-
-app.get("/news", async (req, res) => {
+app.get("/admin/push/campaigns/:id", requireRole("viewer"), async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const category = req.query.category;
-    const language = req.query.language || "en";
-    const cursor = req.query.cursor;
+    const doc = await db.collection("pushCampaigns").doc(req.params.id).get();
 
-    const cacheKey = `${language}_${category || "All"}_${cursor || "first"}_${limit}`;
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, error: "Campaign not found" });
+    }
 
-const cached = newsCache.get(cacheKey);
+    res.json({ id: doc.id, ...doc.data() });
+  } catch (err) {
+    console.error("Get campaign error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to load campaign" });
+  }
+});
 
-if (
-  cached &&
-  cached.expires > Date.now()
-) {
-  return res.json(cached.data);
-}
+app.post(
+  "/admin/push/campaigns/:id/cancel",
+  requireRole("push-operator"),
+  async (req, res) => {
+    try {
+      const ref = db.collection("pushCampaigns").doc(req.params.id);
 
-    let query = db.collection("news")
-      .where("language", "==", language);
+      const { campaign, cancelled } = await db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
 
-    if (category && category !== "All") {
-      query = query.where("category", "==", category);
-    }
+        if (!doc.exists || doc.data().status !== "pending") {
+          return { campaign: doc.exists ? doc.data() : null, cancelled: false };
+        }
 
-    query = query.orderBy("timestamp", "desc");
+        tx.update(ref, {
+          status: "cancelled",
+          cancelledBy: req.admin.name,
+          cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
 
-    if (cursor) {
-      const cursorDoc = await db.collection("news").doc(cursor).get();
-      if (cursorDoc.exists) {
-        query = query.startAfter(cursorDoc);
-      }
-    }
+        return { campaign: doc.data(), cancelled: true };
+      });
 
-    query = query.limit(limit);
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: "Campaign not found" });
+      }
 
-    const snapshot = await query.get();
+      if (!cancelled) {
+        return res.status(409).json({
+          success: false,
+          error: `Campaign is already ${campaign.status}`,
+        });
+      }
 
-    const articles = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+      await db.collection("adminAudit").add(
+        auditEntry(req, "push.cancel", campaign.articleId, {
+          campaignId: { from: ref.id, to: null },
+        })
+      );
 
-    const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Cancel campaign error:", err.message);
+      res.status(500).json({ success: false, error: "Failed to cancel campaign" });
+    }
+  }
+);
 
-    const response = {
-  articles,
-  nextCursor: lastDoc ? lastDoc.id : null,
-};
+/* ================= ADMIN PUSH REPORT ================= */
 
-// Save into RAM cache
-newsCache.set(cacheKey, {
-  data: response,
-  expires: Date.now() + CACHE_TIME,
-});
+function emptyPushTotals() {
+  return { pushes: 0, targeted: 0, success: 0, failure: 0, opens: 0 };
+}
 
-res.json(response);
-} catch (err) {
-  console.error("========== NEWS ROUTE ERROR ==========");
-  console.error(err);
+function addPushTotals(totals, log) {
+  totals.pushes++;
+  totals.targeted += log.targeted || 0;
+  totals.success += log.success || 0;
+  totals.failure += log.failure || 0;
+  totals.opens += log.opens || 0;
 
-  return res.status(500).json({
-    articles: [],
-    nextCursor: null,
-    error: err.message,
-  });
+  return totals;
 }
-  
-});
 
-/* ================= SEARCH ================= */
+function withPushRates(totals) {
+  return {
+    ...totals,
+    deliveryRate: totals.targeted ? totals.success / totals.targeted : 0,
+    openRate: totals.success ? totals.opens / totals.success : 0,
+  };
+}
 
-app.get("/news/search", async (req, res) => {
+app.get("/admin/push/report", requireRole("viewer"), async (req, res) => {
   try {
-    const q = String(req.query.q || "").trim().toLowerCase();
-    const language = String(req.query.language || "en");
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
 
-    if (!q) {
-      return res.json([]);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ success: false, error: "Invalid date range" });
     }
 
     const snapshot = await db
-      .collection("news")
-      .where("language", "==", language)
+      .collection("pushLogs")
+      .where("timestamp", ">=", from)
+      .where("timestamp", "<=", to)
       .orderBy("timestamp", "desc")
-      .limit(300)
+      .limit(1000)
       .get();
 
-    const searchTerms = q
-      .split(/\s+/)
-      .filter(Boolean);
+    const overall = emptyPushTotals();
+    const byCategory = {};
+    const byLanguage = {};
+    const errors = {};
 
-    const articles = snapshot.docs
-      .map((doc) => ({
-        id: doc.id,
-        ...doc.data(),
-      }))
-      .filter((article) => {
-        const searchableText = `
-          ${article.title || ""}
-          ${article.summary || ""}
-          ${article.source || ""}
-          ${article.category || ""}
-        `.toLowerCase();
-
-        return searchTerms.every((term) =>
-          searchableText.includes(term)
-        );
-      })
-      .slice(0, 30);
-
-    res.json(articles);
-  } catch (err) {
-    console.error("Search error:", err.message);
-
-    res.status(500).json({
-      success: false,
-      error: "Search failed",
-    });
-  }
-});
+    const pushes = snapshot.docs.map((doc) => {
+      const log = doc.data();
 
-/* ================= LIKE ================= */
+      addPushTotals(overall, log);
 
-app.post("/news/:id/like", async (req, res) => {
-  try {
-    const { deviceId } = req.body;
-    if (!deviceId) {
-  return res.status(400).json({
-    success: false,
-    error: "deviceId is required",
-  });
-}
+      const category = log.category || "unknown";
+      const language = log.language || "unknown";
 
-    const docRef = db.collection("news").doc(req.params.id);
-    const doc = await docRef.get();
+      byCategory[category] = addPushTotals(
+        byCategory[category] || emptyPushTotals(),
+        log
+      );
+      byLanguage[language] = addPushTotals(
+        byLanguage[language] || emptyPushTotals(),
+        log
+      );
 
-    if (!doc.exists) return res.status(404).json({ success: false });
+      for (const [code, count] of Object.entries(log.errors || {})) {
+        errors[code] = (errors[code] || 0) + count;
+      }
 
-    const likedBy = doc.data().likedBy || [];
+      return {
+        id: doc.id,
+        articleId: log.articleId,
+        kind: log.kind || "breaking",
+        campaignId: log.campaignId || null,
+        language: log.language || null,
+        category: log.category || null,
+        segmentKeys: log.segmentKeys || [],
+        errors: log.errors || {},
+        timestamp: log.timestamp,
+        ...withPushRates(addPushTotals(emptyPushTotals(), log)),
+      };
+    });
 
-    if (!likedBy.includes(deviceId)) {
-      await docRef.update({
-        likes: admin.firestore.FieldValue.increment(1),
-        likedBy: admin.firestore.FieldValue.arrayUnion(deviceId),
-      });
-    }
+    const mapRates = (groups) =>
+      Object.fromEntries(
+        Object.entries(groups).map(([key, totals]) => [key, withPushRates(totals)])
+      );
 
-    res.json({ success: true });
-  } catch {
-    res.status(500).json({ success: false });
+    res.json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      overall: withPushRates(overall),
+      byCategory: mapRates(byCategory),
+      byLanguage: mapRates(byLanguage),
+      errors,
+      pushes,
+    });
+  } catch (err) {
+    console.error("Push report error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to build report" });
   }
 });
 
-/* ================= UNLIKE ================= */
+/* ================= ADMIN SEARCH INDEX ================= */
 
-app.post("/news/:id/unlike", async (req, res) => {
+// Backfills search fields, one page per call; pass nextCursor back in
+app.post("/admin/search/reindex", requireRole("editor"), async (req, res) => {
   try {
-    const { deviceId } = req.body;
+    const limit = Math.min(parseInt(req.body.limit) || 200, 500);
 
-    if (!deviceId) {
-      return res.status(400).json({
-        success: false,
-        error: "deviceId is required",
-      });
-    }
+    let query = db
+      .collection("news")
+      .orderBy("timestamp", "desc")
+      .limit(limit);
 
-    const docRef = db.collection("news").doc(req.params.id);
-    const doc = await docRef.get();
+    if (req.body.cursor) {
+      const cursorDoc = await db.collection("news").doc(req.body.cursor).get();
 
-    if (!doc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: "Article not found",
-      });
+      if (cursorDoc.exists) {
+        query = query.startAfter(cursorDoc);
+      }
     }
 
-    const likedBy = doc.data().likedBy || [];
+    const snapshot = await query.get();
+
+    if (!snapshot.empty) {
+      const batch = db.batch();
 
-    if (likedBy.includes(deviceId)) {
-      await docRef.update({
-        likes: admin.firestore.FieldValue.increment(-1),
-        likedBy: admin.firestore.FieldValue.arrayRemove(deviceId),
+      snapshot.docs.forEach((doc) => {
+        batch.update(doc.ref, buildSearchIndex(doc.data()));
       });
+
+      await batch.commit();
     }
 
-    res.json({ success: true });
+    await searchStatsCache.clear();
 
-  } catch (error) {
-    console.error("Unlike error:", error);
-    res.status(500).json({ success: false });
+    const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+    res.json({
+      success: true,
+      indexed: snapshot.size,
+      nextCursor: snapshot.size === limit ? lastDoc.id : null,
+    });
+  } catch (err) {
+    console.error("Search reindex error:", err.message);
+    res.status(500).json({ success: false, error: "Reindex failed" });
   }
 });
 
-app.post("/news/:id/view", async (req, res) => {
+app.get("/admin/search/zero-results", requireRole("viewer"), async (req, res) => {
   try {
-    const id = req.params.id;
-
-    viewQueue.set(id, (viewQueue.get(id) || 0) + 1);
+    const language = String(req.query.language || "en");
+    const hours = Math.min(parseInt(req.query.hours) || 24, 24 * 7);
 
-    res.json({ success: true });
+    res.json(
+      (await countRecentQueries(language, hours, true)).slice(0, 100)
+    );
   } catch (err) {
-    console.error("View queue error:", err.message);
-    res.status(500).json({ success: false });
+    console.error("Zero-result queries error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to load queries" });
   }
 });
 
-/* ================= ADMIN STATS ================= */
+/* ================= ADMIN RETENTION ================= */
 
-app.get("/admin/stats", async (req, res) => {
-  if (req.query.key !== process.env.ADMIN_KEY) {
-    return res.status(403).send("Forbidden");
+app.get("/admin/retention", requireRole("viewer"), async (req, res) => {
+  try {
+    res.json(await loadRetentionPolicy());
+  } catch (err) {
+    console.error("Retention policy load error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to load policy" });
   }
+});
 
+app.put("/admin/retention", requireRole("editor"), async (req, res) => {
   try {
-    const tokenSnapshot = await db.collection("fcmTokens").count().get();
-    const newsSnapshot = await db.collection("news").count().get();
-
-    res.json({
-      status: "Online",
-
-      uptime: Math.floor(process.uptime()),
+    const current = await loadRetentionPolicy();
 
-      memory: process.memoryUsage(),
-
-      node: process.version,
-
-      newsArticles: newsSnapshot.data().count,
-
-      registeredUsers: tokenSnapshot.data().count,
+    const policy = { ...current };
 
-      newsCache: newsCache.size,
+    for (const field of Object.keys(DEFAULT_RETENTION_POLICY)) {
+      if (req.body[field] !== undefined) policy[field] = req.body[field];
+    }
 
-      trendingCache: Object.keys(trendingCache).length,
+    policy.engagement = {
+      ...current.engagement,
+      ...(req.body.engagement || {}),
+    };
 
-      knownUrls: knownUrls.size,
+    const error = validateRetentionPolicy(policy);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
 
-      viewQueue: viewQueue.size,
+    await db.collection("config").doc("retention").set(policy);
 
-      likeQueue: likeQueue.size,
-    });
+    await db.collection("adminAudit").add(
+      auditEntry(req, "retention.update", null, {
+        policy: { from: current, to: policy },
+      })
+    );
 
+    res.json({ success: true, policy });
   } catch (err) {
-    console.error(err);
-
-    res.status(500).json({
-      error: err.message,
-    });
+    console.error("Retention policy save error:", err.message);
+    res.status(500).json({ success: false, error: "Failed to save policy" });
   }
 });
 
 /* ================= TEST PUSH ================= */
 
-app.get("/test-push", async (req, res) => {
-  if (req.query.key !== process.env.ADMIN_KEY) {
-    return res.status(403).send("Forbidden");
-  }
-
+app.get("/test-push", requireRole("push-operator"), async (req, res) => {
   try {
     await sendBreakingPush(
       {
@@ -883,11 +6179,145 @@ app.get("/test-push", async (req, res) => {
   }
 });
 
+/* ================= JOB LOCKS ================= */
+
+/*
+Each scheduled job runs on one instance at a time, guarded by a lease
+in "jobLocks/{job}":
+
+{
+  owner: INSTANCE_ID,
+  expiresAt, heartbeatAt,
+  lastStartedAt,   // start of the latest run, by any instance
+  takenOverFrom    // previous owner, when its lease had expired
+}
+
+The holder pushes expiresAt forward every LEASE_HEARTBEAT_MS while the
+job runs. If it crashes the heartbeat stops, and the first instance to
+tick after expiresAt takes the lease over. minIntervalMs keeps an
+instance whose cron fires a little later from repeating a run that
+just finished elsewhere.
+*/
+
+const LEASE_TTL_MS = 2 * 60 * 1000; // 2 minutes
+const LEASE_HEARTBEAT_MS = 30 * 1000; // 30 seconds
+
+const heldLeases = new Set();
+
+async function acquireLease(job, minIntervalMs = 0) {
+  const ref = db.collection("jobLocks").doc(job);
+
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const now = Date.now();
+    const lock = doc.exists ? doc.data() : null;
+
+    if (lock && lock.expiresAt?.toMillis() > now) return false;
+
+    if (lock && now - (lock.lastStartedAt?.toMillis() || 0) < minIntervalMs) {
+      return false;
+    }
+
+    const lease = {
+      owner: INSTANCE_ID,
+      expiresAt: admin.firestore.Timestamp.fromMillis(now + LEASE_TTL_MS),
+      heartbeatAt: admin.firestore.Timestamp.fromMillis(now),
+      lastStartedAt: admin.firestore.Timestamp.fromMillis(now),
+      takenOverFrom: null,
+    };
+
+    // Live leases returned above, so an owner still set here belongs to
+    // an instance that stopped heartbeating
+    if (lock?.owner && lock.owner !== INSTANCE_ID) {
+      lease.takenOverFrom = lock.owner;
+      console.log(`Taking over ${job} lease from ${lock.owner}`);
+    }
+
+    tx.set(ref, lease);
+
+    return true;
+  });
+}
+
+async function renewLease(job) {
+  const ref = db.collection("jobLocks").doc(job);
+
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+
+    if (!doc.exists || doc.data().owner !== INSTANCE_ID) return false;
+
+    const now = Date.now();
+
+    tx.update(ref, {
+      expiresAt: admin.firestore.Timestamp.fromMillis(now + LEASE_TTL_MS),
+      heartbeatAt: admin.firestore.Timestamp.fromMillis(now),
+    });
+
+    return true;
+  });
+}
+
+// Clears the owner but keeps lastStartedAt for minIntervalMs
+async function releaseLease(job) {
+  const ref = db.collection("jobLocks").doc(job);
+
+  await db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+
+    if (!doc.exists || doc.data().owner !== INSTANCE_ID) return;
+
+    tx.update(ref, {
+      owner: null,
+      expiresAt: admin.firestore.Timestamp.fromMillis(0),
+    });
+  });
+}
+
+async function runExclusive(job, fn, { minIntervalMs = 0 } = {}) {
+  let acquired = false;
+
+  try {
+    acquired = await acquireLease(job, minIntervalMs);
+  } catch (err) {
+    console.error(`Lease ${job} acquire error:`, err.message);
+  }
+
+  if (!acquired) return false;
+
+  heldLeases.add(job);
+
+  const heartbeat = setInterval(() => {
+    renewLease(job)
+      .then((held) => {
+        if (!held) console.error(`Lost ${job} lease to another instance`);
+      })
+      .catch((err) =>
+        console.error(`Lease ${job} heartbeat error:`, err.message)
+      );
+  }, LEASE_HEARTBEAT_MS);
+
+  try {
+    await fn();
+  } finally {
+    clearInterval(heartbeat);
+    heldLeases.delete(job);
+
+    await releaseLease(job).catch((err) =>
+      console.error(`Lease ${job} release error:`, err.message)
+    );
+  }
+
+  return true;
+}
+
 /* ================= CRON ================= */
 
 let fetchingNews = false;
 
-cron.schedule("*/45 * * * *", async () => {
+// Each source has its own poll interval, so tick often and let
+// isSourceDue decide what actually gets fetched.
+cron.schedule("*/5 * * * *", async () => {
   if (fetchingNews) {
     console.log("Previous fetch still running. Skipping this cycle.");
     return;
@@ -896,12 +6326,36 @@ cron.schedule("*/45 * * * *", async () => {
   fetchingNews = true;
 
   try {
-    await fetchNews();
+    await runExclusive("fetchNews", fetchNews, {
+      minIntervalMs: 2 * 60 * 1000,
+    });
   } finally {
     fetchingNews = false;
   }
 });
-cron.schedule("0 3 * * *", deleteOldNews);
+
+const DAILY_JOB_INTERVAL = 12 * 60 * 60 * 1000; // 12 hours
+
+cron.schedule("0 3 * * *", () =>
+  runExclusive("retention", runRetention, {
+    minIntervalMs: DAILY_JOB_INTERVAL,
+  })
+);
+cron.schedule("* * * * *", () =>
+  runExclusive("pushCampaigns", dispatchDueCampaigns, {
+    minIntervalMs: 30 * 1000,
+  })
+);
+cron.schedule("30 3 * * *", () =>
+  runExclusive("pruneTokens", pruneStaleTokens, {
+    minIntervalMs: DAILY_JOB_INTERVAL,
+  })
+);
+cron.schedule("45 3 * * *", () =>
+  runExclusive("pruneSearchQueries", pruneSearchQueries, {
+    minIntervalMs: DAILY_JOB_INTERVAL,
+  })
+);
 
 
 
@@ -909,36 +6363,43 @@ cron.schedule("0 3 * * *", deleteOldNews);
 
 const PORT = process.env.PORT || 10000;
 
-async function flushViewQueue() {
-  if (viewQueue.size === 0) return;
+// Flush every 5 minutes
+setInterval(() => runExclusive("flushViews", flushViewQueue), 5 * 60 * 1000);
 
-  const batch = db.batch();
+let server = null;
 
-  for (const [id, count] of viewQueue.entries()) {
-    const ref = db.collection("news").doc(id);
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down`);
 
-    batch.update(ref, {
-      views: admin.firestore.FieldValue.increment(count),
-    });
-  }
+  if (server) server.close();
 
-  await batch.commit();
+  await flushViewQueue();
 
-  viewQueue.clear();
+  // Hand running jobs' leases over now instead of after they expire
+  await Promise.all(
+    [...heldLeases].map((job) => releaseLease(job).catch(() => {}))
+  );
 
-  console.log("View queue flushed");
+  process.exit(0);
 }
 
-// Flush every 5 minutes
-setInterval(flushViewQueue, 5 * 60 * 1000);
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
 
 async function startServer() {
   try {
 
+    // Subscribe first so changes made while loading aren't missed
+    subscribeCacheEvents();
+
     await loadKnownUrls();
+    await loadStoryIndex();
     await loadFcmTokens();
 
-    app.listen(PORT, () => {
+    // Pick up views journaled before the last shutdown
+    flushViewQueue();
+
+    server = app.listen(PORT, () => {
       console.log("Server running...");
     });
 
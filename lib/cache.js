@@ -0,0 +1,196 @@
+/* ================= CACHE BACKENDS ================= */
+
+/*
+Backends behind createCache in index.js. All are async
+get/set/delete/clear stores with a reset() for remote invalidation and
+size(), which is null where the count isn't known locally.
+createLocalRedis stands in for an ioredis client in tests.
+*/
+
+const EventEmitter = require("events");
+
+function createMemoryCache({ maxEntries = 1000, ttlMs = 60 * 1000 } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+
+      if (!entry) return undefined;
+
+      if (entry.expires <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      // Re-insert so Map order tracks recency
+      entries.delete(key);
+      entries.set(key, entry);
+
+      return entry.value;
+    },
+
+    async set(key, value, ttl = ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expires: Date.now() + ttl });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    },
+
+    reset() {
+      entries.clear();
+    },
+
+    size() {
+      return entries.size;
+    },
+  };
+}
+
+// Redis errors degrade to cache misses rather than failing requests
+function createRedisCache(name, client, { ttlMs = 60 * 1000 } = {}) {
+  const prefix = `pi:cache:${name}`;
+  let generation = null;
+
+  async function keyFor(key) {
+    if (generation === null) {
+      generation = Number(await client.get(`${prefix}:gen`)) || 0;
+    }
+
+    return `${prefix}:${generation}:${key}`;
+  }
+
+  return {
+    async get(key) {
+      try {
+        const raw = await client.get(await keyFor(key));
+        return raw === null ? undefined : JSON.parse(raw);
+      } catch (err) {
+        console.error(`Cache ${name} get error:`, err.message);
+        return undefined;
+      }
+    },
+
+    async set(key, value, ttl = ttlMs) {
+      try {
+        await client.set(await keyFor(key), JSON.stringify(value), "PX", ttl);
+      } catch (err) {
+        console.error(`Cache ${name} set error:`, err.message);
+      }
+    },
+
+    async delete(key) {
+      try {
+        await client.del(await keyFor(key));
+      } catch (err) {
+        console.error(`Cache ${name} delete error:`, err.message);
+      }
+    },
+
+    async clear() {
+      try {
+        generation = await client.incr(`${prefix}:gen`);
+      } catch (err) {
+        console.error(`Cache ${name} clear error:`, err.message);
+      }
+    },
+
+    // Another instance bumped the generation; re-read it on next use
+    reset() {
+      generation = null;
+    },
+
+    size() {
+      return null;
+    },
+  };
+}
+
+/*
+Implements the slice of the Redis API used here (get, set with PX, del,
+incr, publish, subscribe, duplicate). Clients share one keyspace and
+one pub/sub bus per process.
+*/
+const localRedisKeys = new Map();
+const localRedisBus = new EventEmitter();
+localRedisBus.setMaxListeners(0);
+
+function createLocalRedis() {
+  const listeners = [];
+
+  const client = {
+    async get(key) {
+      const entry = localRedisKeys.get(key);
+
+      if (!entry) return null;
+
+      if (entry.expires && entry.expires <= Date.now()) {
+        localRedisKeys.delete(key);
+        return null;
+      }
+
+      return entry.value;
+    },
+
+    async set(key, value, mode, ttl) {
+      localRedisKeys.set(key, {
+        value: String(value),
+        expires: mode === "PX" ? Date.now() + Number(ttl) : null,
+      });
+
+      return "OK";
+    },
+
+    async del(...keys) {
+      return keys.filter((key) => localRedisKeys.delete(key)).length;
+    },
+
+    async incr(key) {
+      const next = (Number(await client.get(key)) || 0) + 1;
+      localRedisKeys.set(key, { value: String(next), expires: null });
+      return next;
+    },
+
+    async publish(channel, message) {
+      localRedisBus.emit(channel, channel, message);
+      return 1;
+    },
+
+    async subscribe(channel) {
+      localRedisBus.on(channel, (ch, message) =>
+        listeners.forEach((listener) => listener(ch, message))
+      );
+    },
+
+    on(event, listener) {
+      if (event === "message") listeners.push(listener);
+      return client;
+    },
+
+    duplicate() {
+      return createLocalRedis();
+    },
+
+    async quit() {
+      return "OK";
+    },
+  };
+
+  return client;
+}
+
+module.exports = {
+  createMemoryCache,
+  createRedisCache,
+  createLocalRedis,
+};
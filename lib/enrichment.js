@@ -0,0 +1,354 @@
+/* ================= ARTICLE ENRICHMENT ================= */
+
+/*
+When a feed item has no usable description or image, fetch the page
+at sourceUrl and pull readable text, og:image, author and publish time
+out of it. Enabled with ENRICH_ARTICLES=1 or per source with
+enrich: true. extractArticleFromHtml and parseRobots are pure, so they
+can be run against saved HTML and robots.txt files (see
+test/enrichment.test.js).
+*/
+
+const axios = require("axios");
+const { createMemoryCache } = require("./cache");
+
+const ENRICH_USER_AGENT = "ProIndianBot/1.0 (+https://proindian.app)";
+const ENRICH_TIMEOUT = 8000;
+const ENRICH_MAX_BYTES = 2 * 1024 * 1024;
+const ENRICH_HOST_INTERVAL =
+  parseInt(process.env.ENRICH_HOST_INTERVAL_MS) || 2000;
+const ROBOTS_CACHE_TIME = 24 * 60 * 60 * 1000; // 24 hours
+const ENRICH_MAX_REDIRECTS = 3;
+const ENRICH_FAILURE_CACHE_TIME = 6 * 60 * 60 * 1000; // 6 hours
+
+const robotsCache = new Map();
+const hostQueues = new Map();
+
+// Pages that gave nothing usable, so a feed item still in the feed
+// isn't fetched again on every poll
+const failedPages = createMemoryCache({
+  maxEntries: 5000,
+  ttlMs: ENRICH_FAILURE_CACHE_TIME,
+});
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function shouldEnrich(source) {
+  if (source.enrich !== undefined) return source.enrich === true;
+
+  return process.env.ENRICH_ARTICLES === "1";
+}
+
+function decodeHtmlEntities(text) {
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+  return String(text || "").replace(
+    /&(#x[0-9a-f]+|#\d+|[a-z]+);/gi,
+    (match, entity) => {
+      if (entity[0] === "#") {
+        const code =
+          entity[1].toLowerCase() === "x"
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10);
+
+        return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+      }
+
+      return named[entity.toLowerCase()] ?? match;
+    }
+  );
+}
+
+function stripTags(html) {
+  return decodeHtmlEntities(String(html).replace(/<[^>]+>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function metaContent(html, names) {
+  for (const name of names) {
+    const patterns = [
+      new RegExp(
+        `<meta[^>]+(?:property|name)=["']${name}["'][^>]*content=["']([^"']*)["']`,
+        "i"
+      ),
+      new RegExp(
+        `<meta[^>]+content=["']([^"']*)["'][^>]*(?:property|name)=["']${name}["']`,
+        "i"
+      ),
+    ];
+
+    for (const pattern of patterns) {
+      const match = pattern.exec(html);
+      if (match && match[1].trim()) return decodeHtmlEntities(match[1].trim());
+    }
+  }
+
+  return "";
+}
+
+function jsonLdArticle(html) {
+  const blocks =
+    html.match(/<script[^>]+application\/ld\+json[^>]*>[\s\S]*?<\/script>/gi) ||
+    [];
+
+  for (const block of blocks) {
+    try {
+      const json = JSON.parse(block.replace(/<\/?script[^>]*>/gi, ""));
+      const nodes = [json, ...(Array.isArray(json) ? json : json["@graph"] || [])];
+
+      const article = nodes.find((node) =>
+        /Article|NewsArticle|ReportageNewsArticle/.test(String(node?.["@type"]))
+      );
+
+      if (article) return article;
+    } catch {
+      // Ignore malformed JSON-LD
+    }
+  }
+
+  return null;
+}
+
+function extractArticleFromHtml(html, pageUrl) {
+  const source = String(html || "");
+  const ld = jsonLdArticle(source);
+
+  const cleaned = source
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(
+      /<(script|style|noscript|nav|header|footer|aside|figure|form)[\s\S]*?<\/\1>/gi,
+      ""
+    );
+
+  // Prefer paragraphs inside <article>, fall back to the whole page
+  const scope = /<article[\s\S]*?<\/article>/i.exec(cleaned)?.[0] || cleaned;
+
+  const paragraphs = (scope.match(/<p[\s>][\s\S]*?<\/p>/gi) || [])
+    .map(stripTags)
+    .filter((text) => text.length >= 40);
+
+  let image =
+    metaContent(source, ["og:image", "og:image:url", "twitter:image"]) ||
+    (typeof ld?.image === "string" ? ld.image : ld?.image?.url || "");
+
+  if (image && pageUrl) {
+    try {
+      image = new URL(image, pageUrl).href;
+    } catch {
+      image = "";
+    }
+  }
+
+  const ldAuthor = Array.isArray(ld?.author) ? ld.author[0] : ld?.author;
+
+  const author =
+    metaContent(source, ["author", "article:author"]) ||
+    (typeof ldAuthor === "string" ? ldAuthor : ldAuthor?.name || "");
+
+  const published =
+    metaContent(source, ["article:published_time", "pubdate", "publishdate"]) ||
+    ld?.datePublished ||
+    /<time[^>]+datetime=["']([^"']+)["']/i.exec(source)?.[1] ||
+    "";
+
+  const publishedDate = published ? new Date(published) : null;
+
+  return {
+    text: paragraphs.join(" "),
+    image,
+    author: author || null,
+    publishedAt:
+      publishedDate && !isNaN(publishedDate.getTime()) ? publishedDate : null,
+  };
+}
+
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*/, "").trim();
+    const split = line.indexOf(":");
+    if (split === -1) continue;
+
+    const field = line.slice(0, split).trim().toLowerCase();
+    const value = line.slice(split + 1).trim();
+
+    if (field === "user-agent") {
+      if (!current || current.rules.length > 0) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+
+      current.agents.push(value.toLowerCase());
+    } else if ((field === "allow" || field === "disallow") && current) {
+      current.rules.push({ allow: field === "allow", path: value });
+    }
+  }
+
+  const botName = ENRICH_USER_AGENT.split("/")[0].toLowerCase();
+
+  const group =
+    groups.find((g) => g.agents.some((agent) => agent !== "*" && botName.includes(agent))) ||
+    groups.find((g) => g.agents.includes("*"));
+
+  return group ? group.rules : [];
+}
+
+function robotsAllows(rules, path) {
+  let best = null;
+
+  for (const rule of rules) {
+    // An empty Disallow means everything is allowed
+    if (!rule.path) continue;
+
+    const pattern = new RegExp(
+      "^" +
+        rule.path
+          .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+          .replace(/\*/g, ".*")
+          .replace(/\\\$$/, "$")
+    );
+
+    if (
+      pattern.test(path) &&
+      (!best || rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.allow))
+    ) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+async function isAllowedByRobots(url) {
+  const { origin, pathname, search } = new URL(url);
+  const cached = robotsCache.get(origin);
+
+  let rules;
+
+  if (cached && cached.expires > Date.now()) {
+    rules = cached.rules;
+  } else {
+    let cacheTime = ROBOTS_CACHE_TIME;
+
+    try {
+      const response = await axios.get(`${origin}/robots.txt`, {
+        timeout: ENRICH_TIMEOUT,
+        maxContentLength: 512 * 1024,
+        responseType: "text",
+        headers: { "User-Agent": ENRICH_USER_AGENT },
+        validateStatus: (status) => status < 500,
+      });
+
+      // A missing robots.txt allows everything
+      rules = response.status < 400 ? parseRobots(response.data) : [];
+    } catch {
+      // Unreachable robots.txt: assume disallowed, and retry within the hour
+      rules = [{ allow: false, path: "/" }];
+      cacheTime = 60 * 60 * 1000;
+    }
+
+    robotsCache.set(origin, { rules, expires: Date.now() + cacheTime });
+  }
+
+  return robotsAllows(rules, pathname + search);
+}
+
+// Serialises requests per host, ENRICH_HOST_INTERVAL apart
+function throttleHost(host, task) {
+  const previous = hostQueues.get(host) || Promise.resolve();
+
+  const run = previous.then(async () => {
+    try {
+      return await task();
+    } finally {
+      await sleep(ENRICH_HOST_INTERVAL);
+    }
+  });
+
+  const tail = run.catch(() => {});
+  hostQueues.set(host, tail);
+  tail.then(() => {
+    if (hostQueues.get(host) === tail) hostQueues.delete(host);
+  });
+
+  return run;
+}
+
+function markEnrichFailed(url) {
+  return failedPages.set(url, true);
+}
+
+/*
+Redirects are followed by hand, so each hop is checked against its own
+host's robots.txt and waits its turn in that host's queue.
+*/
+async function fetchPage(url) {
+  let current = url;
+
+  for (let hop = 0; hop <= ENRICH_MAX_REDIRECTS; hop++) {
+    const { host, protocol } = new URL(current);
+
+    if (!/^https?:$/.test(protocol)) return null;
+
+    const response = await throttleHost(host, async () => {
+      if (!(await isAllowedByRobots(current))) return null;
+
+      return axios.get(current, {
+        timeout: ENRICH_TIMEOUT,
+        maxContentLength: ENRICH_MAX_BYTES,
+        maxRedirects: 0,
+        responseType: "text",
+        headers: { "User-Agent": ENRICH_USER_AGENT },
+        validateStatus: (status) => status < 400,
+      });
+    });
+
+    if (!response) return null;
+
+    if (response.status < 300) return { response, url: current };
+
+    if (!response.headers.location) return null;
+
+    current = new URL(response.headers.location, current).href;
+  }
+
+  return null;
+}
+
+async function enrichFromPage(url) {
+  try {
+    if (await failedPages.get(url)) return null;
+
+    const page = await fetchPage(url);
+
+    if (!page || !/html/i.test(page.response.headers["content-type"] || "")) {
+      await markEnrichFailed(url);
+      return null;
+    }
+
+    return extractArticleFromHtml(page.response.data, page.url);
+  } catch (err) {
+    console.error(`Enrich failed for ${url}:`, err.message);
+    await markEnrichFailed(url);
+    return null;
+  }
+}
+
+module.exports = {
+  ENRICH_USER_AGENT,
+  shouldEnrich,
+  decodeHtmlEntities,
+  stripTags,
+  extractArticleFromHtml,
+  parseRobots,
+  robotsAllows,
+  isAllowedByRobots,
+  enrichFromPage,
+  markEnrichFailed,
+};
@@ -0,0 +1,83 @@
+/* ================= STORY SIMILARITY ================= */
+
+/*
+Fingerprints and similarity scores behind story clustering in
+index.js. Headlines that differ in one word ("Sensex rises" / "Sensex
+falls") share most of their tokens, so title overlap only clusters on
+its own at TITLE_ONLY_SIMILARITY; below that it is weighed together
+with the bigram overlap of title and summary.
+*/
+
+const TITLE_ONLY_SIMILARITY = 0.75;
+const TITLE_WEIGHT = 0.4;
+
+const STOP_WORDS = new Set([
+  "a", "an", "the", "of", "in", "on", "at", "to", "for", "and", "or",
+  "is", "are", "was", "were", "be", "by", "with", "from", "as", "after",
+  "its", "it", "this", "that", "over", "amid", "says", "said",
+  "के", "की", "का", "में", "है", "हैं", "और", "से", "को", "पर", "ने",
+  "यह", "एक", "भी", "लिए", "था", "थी", "गया", "गई",
+]);
+
+function normalizeForSimilarity(text) {
+  return String(text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter((word) => word && !STOP_WORDS.has(word));
+}
+
+function shingles(words, size = 2) {
+  const set = new Set();
+
+  for (let i = 0; i + size <= words.length; i++) {
+    set.add(words.slice(i, i + size).join(" "));
+  }
+
+  return set;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+
+  return shared / (a.size + b.size - shared);
+}
+
+function storyFingerprint(title, summary) {
+  const titleWords = normalizeForSimilarity(title);
+  const bodyWords = normalizeForSimilarity(summary).slice(0, 60);
+
+  return {
+    titleTokens: new Set(titleWords),
+    shingles: shingles([...titleWords, ...bodyWords]),
+  };
+}
+
+function storySimilarity(a, b) {
+  // Headlines are short, so very short ones only match on full text
+  const titleSim =
+    a.titleTokens.size >= 3 && b.titleTokens.size >= 3
+      ? jaccard(a.titleTokens, b.titleTokens)
+      : 0;
+  const textSim = jaccard(a.shingles, b.shingles);
+
+  if (titleSim >= TITLE_ONLY_SIMILARITY) return titleSim;
+
+  return Math.max(
+    textSim,
+    TITLE_WEIGHT * titleSim + (1 - TITLE_WEIGHT) * textSim
+  );
+}
+
+module.exports = {
+  STOP_WORDS,
+  normalizeForSimilarity,
+  storyFingerprint,
+  storySimilarity,
+};
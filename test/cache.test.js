@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const {
+  createMemoryCache,
+  createRedisCache,
+  createLocalRedis,
+} = require("../lib/cache");
+
+test("memory cache evicts the least recently used entry", async () => {
+  const cache = createMemoryCache({ maxEntries: 2 });
+
+  await cache.set("a", 1);
+  await cache.set("b", 2);
+  await cache.get("a");
+  await cache.set("c", 3);
+
+  assert.strictEqual(await cache.get("a"), 1);
+  assert.strictEqual(await cache.get("b"), undefined);
+  assert.strictEqual(await cache.get("c"), 3);
+  assert.strictEqual(cache.size(), 2);
+});
+
+test("memory cache entries expire after their ttl", async () => {
+  const cache = createMemoryCache({ ttlMs: 60 * 1000 });
+
+  await cache.set("short", "x", 1);
+  await cache.set("long", "y");
+  await new Promise((resolve) => setTimeout(resolve, 5));
+
+  assert.strictEqual(await cache.get("short"), undefined);
+  assert.strictEqual(await cache.get("long"), "y");
+});
+
+test("redis caches on one local stand-in share entries", async () => {
+  const client = createLocalRedis();
+  const first = createRedisCache("shared-test", client);
+  const second = createRedisCache("shared-test", client.duplicate());
+
+  await first.set("feed", { articles: [1, 2] });
+
+  assert.deepStrictEqual(await second.get("feed"), { articles: [1, 2] });
+});
+
+test("clearing bumps the generation; other instances see it after reset", async () => {
+  const client = createLocalRedis();
+  const first = createRedisCache("clear-test", client);
+  const second = createRedisCache("clear-test", client.duplicate());
+
+  await first.set("feed", "old");
+  assert.strictEqual(await second.get("feed"), "old");
+
+  await first.clear();
+  assert.strictEqual(await first.get("feed"), undefined);
+
+  second.reset();
+  assert.strictEqual(await second.get("feed"), undefined);
+});
+
+test("local stand-in delivers published messages to subscribers", async () => {
+  const publisher = createLocalRedis();
+  const subscriber = publisher.duplicate();
+  const received = [];
+
+  subscriber.on("message", (channel, message) =>
+    received.push([channel, message])
+  );
+  await subscriber.subscribe("pubsub-test");
+  await publisher.publish("pubsub-test", "hello");
+  await publisher.publish("other-channel", "ignored");
+
+  assert.deepStrictEqual(received, [["pubsub-test", "hello"]]);
+});
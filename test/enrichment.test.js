@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+// No need to wait between requests to the local test servers
+process.env.ENRICH_HOST_INTERVAL_MS = "1";
+
+const {
+  extractArticleFromHtml,
+  parseRobots,
+  robotsAllows,
+  enrichFromPage,
+} = require("../lib/enrichment");
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+
+test("extracts article text, image, author and publish time", () => {
+  const page = extractArticleFromHtml(
+    fixture("article.html"),
+    "https://news.example.com/india/monsoon-kerala"
+  );
+
+  assert.strictEqual(
+    page.text,
+    "The southwest monsoon set in over Kerala on Sunday, three days ahead of its normal onset date, the weather office said. " +
+      "Officials said conditions are favourable for the monsoon to advance into Karnataka & Tamil Nadu this week."
+  );
+  assert.strictEqual(page.image, "https://news.example.com/images/monsoon.jpg");
+  assert.strictEqual(page.author, "Asha Menon");
+  assert.strictEqual(page.publishedAt.toISOString(), "2026-06-01T00:00:00.000Z");
+});
+
+test("returns empty fields for a page without an article", () => {
+  const page = extractArticleFromHtml("<html><body>Not found</body></html>");
+
+  assert.deepStrictEqual(page, {
+    text: "",
+    image: "",
+    author: null,
+    publishedAt: null,
+  });
+});
+
+test("uses the group naming the bot over the wildcard group", () => {
+  const rules = parseRobots(fixture("robots.txt"));
+
+  assert.strictEqual(robotsAllows(rules, "/search?q=monsoon"), false);
+  assert.strictEqual(robotsAllows(rules, "/files/report.pdf"), false);
+  assert.strictEqual(robotsAllows(rules, "/files/report.pdf?page=2"), true);
+  assert.strictEqual(robotsAllows(rules, "/private/notes"), true);
+});
+
+test("wildcard group: the longest matching rule wins", () => {
+  const rules = parseRobots(
+    fixture("robots.txt").replace("User-agent: ProIndianBot", "User-agent: OtherBot")
+  );
+
+  assert.strictEqual(robotsAllows(rules, "/private/notes"), false);
+  assert.strictEqual(robotsAllows(rules, "/private/press/release"), true);
+  assert.strictEqual(robotsAllows(rules, "/india/monsoon"), true);
+});
+
+// Serves routes[path] as [status, headers, body] and records each path
+async function startServer(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+
+    const [status, headers, body] = routes[req.url] || [404, {}, ""];
+    res.writeHead(status, headers);
+    res.end(body);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    origin: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test("checks robots.txt on the host a page redirects to", async () => {
+  const html = { "Content-Type": "text/html" };
+  const target = await startServer({
+    "/robots.txt": [200, {}, "User-agent: *\nDisallow: /blocked/\n"],
+    "/blocked/story": [200, html, fixture("article.html")],
+    "/story": [200, html, fixture("article.html")],
+  });
+  const origin = await startServer({
+    "/robots.txt": [404, {}, ""],
+    "/blocked": [301, { Location: `${target.origin}/blocked/story` }, ""],
+    "/moved": [302, { Location: `${target.origin}/story` }, ""],
+  });
+
+  try {
+    assert.strictEqual(await enrichFromPage(`${origin.origin}/blocked`), null);
+    assert.ok(!target.requests.includes("/blocked/story"));
+
+    const page = await enrichFromPage(`${origin.origin}/moved`);
+    assert.strictEqual(page.author, "Asha Menon");
+    assert.ok(target.requests.includes("/story"));
+
+    // The blocked page is remembered and not requested again
+    const before = origin.requests.length;
+    assert.strictEqual(await enrichFromPage(`${origin.origin}/blocked`), null);
+    assert.strictEqual(origin.requests.length, before);
+  } finally {
+    await origin.close();
+    await target.close();
+  }
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { storyFingerprint, storySimilarity } = require("../lib/similarity");
+
+// Default STORY_SIMILARITY_THRESHOLD in index.js
+const CLUSTER_SIMILARITY = 0.5;
+
+const similarity = (a, b) =>
+  storySimilarity(storyFingerprint(a), storyFingerprint(b));
+
+test("headlines that differ in a key word are different stories", () => {
+  const pairs = [
+    ["Earthquake hits Delhi", "Earthquake hits Nepal"],
+    ["Sensex rises 500 points", "Sensex falls 500 points"],
+    ["PM Modi to visit Delhi today", "PM Modi to visit Mumbai today"],
+  ];
+
+  for (const [a, b] of pairs) {
+    assert.ok(similarity(a, b) < CLUSTER_SIMILARITY, `${a} / ${b}`);
+  }
+});
+
+test("the same story from two outlets clusters", () => {
+  assert.ok(
+    similarity(
+      "Magnitude 6.2 earthquake hits Nepal, tremors felt in Delhi",
+      "Earthquake of magnitude 6.2 hits Nepal; tremors felt in Delhi"
+    ) >= CLUSTER_SIMILARITY
+  );
+
+  assert.ok(
+    storySimilarity(
+      storyFingerprint(
+        "Monsoon reaches Kerala early",
+        "The southwest monsoon set in over Kerala on Sunday, three days ahead of its normal onset date."
+      ),
+      storyFingerprint(
+        "Monsoon arrives in Kerala three days ahead of schedule",
+        "The southwest monsoon set in over Kerala on Sunday, three days ahead of its normal onset date, IMD said."
+      )
+    ) >= CLUSTER_SIMILARITY
+  );
+});